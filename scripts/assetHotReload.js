@@ -0,0 +1,158 @@
+const chokidar = require('chokidar');
+const fs = require('fs');
+const path = require('path');
+const {
+  generateAtlasForFolder,
+  updateManifest,
+  CONFIG_FILE,
+  DEFAULT_VARIANT_SCALES,
+} = require('./generateAtlas');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const RESOURCES_DIR = path.join(ROOT_DIR, 'resources');
+const ASSETS_DIR = path.join(ROOT_DIR, 'assets');
+const DATA_DIR = path.join(ASSETS_DIR, 'data');
+const EVENTS_PATH = '/__asset-events';
+const DEBOUNCE_MS = 300;
+
+// Local data files and the manifest bundle that loads them
+const DATA_BUNDLES = {
+  'magicWords.json': 'dialogueFixture',
+};
+// Dialogue translations, e.g. magicWords.es.json in the dialogue-es bundle
+const TRANSLATION_FILE = /^magicWords\.([\w-]+)\.json$/;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.fnt': 'text/plain',
+};
+
+// ATLAS_VARIANTS=1 keeps rebuilds quick while iterating on art
+function getVariantScales() {
+  const value = process.env.ATLAS_VARIANTS;
+  return value ? value.split(',').map(Number) : DEFAULT_VARIANT_SCALES;
+}
+
+/**
+ * Dev server integration: rebuilds the atlas of a resources/ folder when its images change and
+ * tells running games over server-sent events which bundles to reload. Assets are served from
+ * disk without caching so a reload always sees the new files.
+ */
+function setupAssetHotReload(devServer, middlewares) {
+  const clients = new Set();
+  const pendingFolders = new Set();
+  let timer = null;
+  let building = Promise.resolve();
+
+  const notify = bundles => {
+    const message = `event: bundlesChanged\ndata: ${JSON.stringify({ bundles })}\n\n`;
+    for (const client of clients) {
+      client.write(message);
+    }
+    console.log(`🔁 Asset hot reload: ${bundles.join(', ')}`);
+  };
+
+  const rebuildPendingFolders = () => {
+    const folders = [...pendingFolders];
+    pendingFolders.clear();
+
+    // One rebuild at a time; the packer is CPU heavy and both would write the manifest
+    building = building.then(async () => {
+      const atlases = [];
+      for (const folder of folders) {
+        const atlas = await generateAtlasForFolder(folder, getVariantScales());
+        if (atlas) {
+          atlases.push(atlas);
+        }
+      }
+      if (atlases.length > 0) {
+        await updateManifest(atlases);
+        notify(atlases.map(atlas => atlas.name));
+      }
+    }).catch(error => {
+      console.error('❌ Asset hot reload failed:', error);
+    });
+  };
+
+  const onResourceChange = filePath => {
+    const [folder] = path.relative(RESOURCES_DIR, filePath).split(path.sep);
+    const isAtlasInput =
+      filePath.toLowerCase().endsWith('.png') || path.basename(filePath) === CONFIG_FILE;
+    if (!folder || !isAtlasInput) {
+      return;
+    }
+    pendingFolders.add(folder);
+    clearTimeout(timer);
+    timer = setTimeout(rebuildPendingFolders, DEBOUNCE_MS);
+  };
+
+  const onDataChange = filePath => {
+    const fileName = path.basename(filePath);
+    const translation = TRANSLATION_FILE.exec(fileName);
+    const bundle = translation ? `dialogue-${translation[1]}` : DATA_BUNDLES[fileName];
+    if (bundle) {
+      notify([bundle]);
+    }
+  };
+
+  const watchers = [
+    chokidar
+      .watch(RESOURCES_DIR, { ignoreInitial: true })
+      .on('add', onResourceChange)
+      .on('change', onResourceChange)
+      .on('unlink', onResourceChange),
+    chokidar.watch(DATA_DIR, { ignoreInitial: true }).on('change', onDataChange),
+  ];
+
+  devServer.compiler.hooks.shutdown.tap('AssetHotReload', () => {
+    for (const watcher of watchers) {
+      watcher.close();
+    }
+  });
+
+  middlewares.unshift(
+    {
+      name: 'asset-hot-reload-events',
+      path: EVENTS_PATH,
+      middleware: (req, res) => {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-store',
+          Connection: 'keep-alive',
+        });
+        res.write(': connected\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+      },
+    },
+    {
+      // The copies webpack keeps in memory lag behind a rebuild, so serve the files themselves
+      name: 'asset-hot-reload-files',
+      path: '/assets',
+      middleware: (req, res, next) => {
+        const relativePath = decodeURIComponent(req.path);
+        const filePath = path.join(ASSETS_DIR, relativePath);
+        if (!filePath.startsWith(ASSETS_DIR + path.sep)) {
+          next();
+          return;
+        }
+
+        fs.readFile(filePath, (error, contents) => {
+          if (error) {
+            next();
+            return;
+          }
+          res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath)] ?? 'application/octet-stream');
+          res.setHeader('Cache-Control', 'no-store');
+          res.end(contents);
+        });
+      },
+    }
+  );
+
+  return middlewares;
+}
+
+module.exports = { setupAssetHotReload, EVENTS_PATH };
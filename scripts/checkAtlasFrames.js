@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SRC_DIR = path.join(ROOT_DIR, 'src');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'assets', 'manifest.json');
+
+// Calls whose first argument names a texture in the Assets cache
+const TEXTURE_CALLS = ['AssetLoader.getTexture', 'AssetLoader.hasTexture', 'Texture.from'];
+// Particle emitter configs name their textures, e.g. the textureRandom behavior's `textures`
+const TEXTURE_PROPERTIES = ['texture', 'textures'];
+
+function listSourceFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listSourceFiles(fullPath);
+    }
+    return entry.name.endsWith('.ts') && !entry.name.endsWith('.d.ts') ? [fullPath] : [];
+  });
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Frames of every spritesheet in the manifest, per atlas and variant, following multi-pack
+ * pages. Other assets only contribute their aliases, which are valid texture names too.
+ */
+function readAtlases() {
+  const manifest = readJson(MANIFEST_PATH);
+  const atlases = [];
+  const aliases = new Set();
+
+  for (const bundle of manifest.bundles) {
+    for (const asset of bundle.assets) {
+      const names = [].concat(asset.alias);
+      const sources = [].concat(asset.src);
+      if (!sources.every(src => src.startsWith('assets/images/') && src.endsWith('.json'))) {
+        names.forEach(name => aliases.add(name));
+        continue;
+      }
+
+      const variants = sources.map(src => {
+        const frames = new Set();
+        const pages = [path.basename(src)];
+        for (let i = 0; i < pages.length; i++) {
+          const sheet = readJson(path.join(ROOT_DIR, path.dirname(src), pages[i]));
+          Object.keys(sheet.frames).forEach(frame => frames.add(frame));
+          pages.push(...(i === 0 ? (sheet.meta.related_multi_packs ?? []) : []));
+        }
+        return { src, frames };
+      });
+      atlases.push({ name: names[0], variants });
+    }
+  }
+  return { atlases, aliases };
+}
+
+function getLine(node) {
+  const sourceFile = node.getSourceFile();
+  const { line } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+  return `${path.relative(ROOT_DIR, sourceFile.fileName)}:${line + 1}`;
+}
+
+function isFunctionLike(node) {
+  return (
+    ts.isFunctionDeclaration(node) ||
+    ts.isFunctionExpression(node) ||
+    ts.isArrowFunction(node) ||
+    ts.isMethodDeclaration(node)
+  );
+}
+
+function forEachDescendant(node, visit, { intoFunctions = true } = {}) {
+  ts.forEachChild(node, child => {
+    visit(child);
+    if (intoFunctions || !isFunctionLike(child)) {
+      forEachDescendant(child, visit, { intoFunctions });
+    }
+  });
+}
+
+// The nearest declaration of a local name that is in scope at `node`
+function findDeclaration(node, name) {
+  for (let scope = node.parent; scope; scope = scope.parent) {
+    let found = null;
+    forEachDescendant(
+      scope,
+      child => {
+        if (
+          !found &&
+          ts.isVariableDeclaration(child) &&
+          ts.isIdentifier(child.name) &&
+          child.name.text === name &&
+          child.pos < node.pos
+        ) {
+          found = child;
+        }
+      },
+      { intoFunctions: false }
+    );
+    if (found) {
+      return found;
+    }
+    if (isFunctionLike(scope)) {
+      const parameter = scope.parameters.find(p => ts.isIdentifier(p.name) && p.name.text === name);
+      if (parameter) {
+        return parameter;
+      }
+    }
+  }
+  return null;
+}
+
+function findClassMember(node, name) {
+  for (let scope = node.parent; scope; scope = scope.parent) {
+    if (ts.isClassDeclaration(scope)) {
+      return scope.members.find(member => member.name && member.name.getText() === name) ?? null;
+    }
+  }
+  return null;
+}
+
+function getFunctionReturns(fn) {
+  if (!ts.isBlock(fn.body)) {
+    return [fn.body];
+  }
+  const returns = [];
+  forEachDescendant(
+    fn.body,
+    child => {
+      if (ts.isReturnStatement(child) && child.expression) {
+        returns.push(child.expression);
+      }
+    },
+    { intoFunctions: false }
+  );
+  return returns;
+}
+
+function isNameLiteral(node) {
+  return (
+    ts.isStringLiteral(node) ||
+    ts.isNoSubstitutionTemplateLiteral(node) ||
+    ts.isTemplateExpression(node)
+  );
+}
+
+function union(results) {
+  if (results.some(values => values === null)) {
+    return null;
+  }
+  return [...new Set(results.flat())];
+}
+
+/**
+ * Every string an expression can evaluate to, or null when it depends on something this check
+ * cannot follow. Understands the shapes the scenes use to build names: literals, templates,
+ * picks from constant arrays, `1 + Math.floor(random * n)`, conditionals, locals reassigned
+ * in branches and helpers that return any of those.
+ */
+function resolveValues(node, seen = new Set()) {
+  if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+    return [node.text];
+  }
+  if (ts.isNumericLiteral(node)) {
+    return [String(Number(node.text))];
+  }
+  if (ts.isParenthesizedExpression(node) || ts.isAsExpression(node)) {
+    return resolveValues(node.expression, seen);
+  }
+  if (ts.isTemplateExpression(node)) {
+    let values = [node.head.text];
+    for (const span of node.templateSpans) {
+      const parts = resolveValues(span.expression, seen);
+      if (parts === null) {
+        return null;
+      }
+      values = values.flatMap(prefix => parts.map(part => prefix + part + span.literal.text));
+    }
+    return values;
+  }
+  if (ts.isConditionalExpression(node)) {
+    return union([resolveValues(node.whenTrue, seen), resolveValues(node.whenFalse, seen)]);
+  }
+  if (ts.isBinaryExpression(node)) {
+    if (node.operatorToken.kind === ts.SyntaxKind.QuestionQuestionToken) {
+      return union([resolveValues(node.left, seen), resolveValues(node.right, seen)]);
+    }
+    return resolveRandomRange(node);
+  }
+  if (ts.isElementAccessExpression(node)) {
+    return resolveArray(node.expression, seen);
+  }
+  if (ts.isIdentifier(node)) {
+    return resolveLocal(node, seen);
+  }
+  if (ts.isCallExpression(node)) {
+    return resolveCall(node, seen);
+  }
+  return null;
+}
+
+// `base + Math.floor(<anything> * count)` picks one of base..base + count - 1
+function resolveRandomRange(node) {
+  const { left, operatorToken, right } = node;
+  if (
+    operatorToken.kind !== ts.SyntaxKind.PlusToken ||
+    !ts.isNumericLiteral(left) ||
+    !ts.isCallExpression(right) ||
+    right.expression.getText() !== 'Math.floor'
+  ) {
+    return null;
+  }
+  const [argument] = right.arguments;
+  if (
+    !argument ||
+    !ts.isBinaryExpression(argument) ||
+    argument.operatorToken.kind !== ts.SyntaxKind.AsteriskToken ||
+    !ts.isNumericLiteral(argument.right)
+  ) {
+    return null;
+  }
+  const base = Number(left.text);
+  const count = Number(argument.right.text);
+  return Array.from({ length: count }, (_, i) => String(base + i));
+}
+
+function resolveArray(node, seen) {
+  let array = node;
+  if (ts.isIdentifier(node)) {
+    const declaration = findDeclaration(node, node.text);
+    array = declaration?.initializer;
+  } else if (ts.isPropertyAccessExpression(node)) {
+    array = findClassMember(node, node.name.text)?.initializer;
+  }
+  if (!array || !ts.isArrayLiteralExpression(array)) {
+    return null;
+  }
+  return union(array.elements.map(element => resolveValues(element, seen)));
+}
+
+// A local's initializer plus everything later assigned to it, e.g. a `let` set in branches
+function resolveLocal(node, seen) {
+  const declaration = findDeclaration(node, node.text);
+  if (!declaration || !ts.isVariableDeclaration(declaration)) {
+    return null;
+  }
+  // Self references (`x = cond ? 'a' : x`) add nothing new
+  if (seen.has(declaration)) {
+    return [];
+  }
+
+  const sources = declaration.initializer ? [declaration.initializer] : [];
+  forEachDescendant(declaration.parent.parent.parent, child => {
+    if (
+      ts.isBinaryExpression(child) &&
+      child.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+      ts.isIdentifier(child.left) &&
+      child.left.text === node.text
+    ) {
+      sources.push(child.right);
+    }
+  });
+  if (sources.length === 0) {
+    return null;
+  }
+  const inner = new Set(seen).add(declaration);
+  return union(sources.map(source => resolveValues(source, inner)));
+}
+
+function resolveCall(node, seen) {
+  const callee = node.expression;
+  let fn = null;
+  if (
+    ts.isPropertyAccessExpression(callee) &&
+    callee.expression.kind === ts.SyntaxKind.ThisKeyword
+  ) {
+    fn = findClassMember(node, callee.name.text);
+  } else if (ts.isIdentifier(callee)) {
+    fn = findDeclaration(node, callee.text)?.initializer ?? null;
+  }
+  if (!fn || !isFunctionLike(fn) || !fn.body) {
+    return null;
+  }
+  if (seen.has(fn)) {
+    return [];
+  }
+  const inner = new Set(seen).add(fn);
+  return union(getFunctionReturns(fn).map(expression => resolveValues(expression, inner)));
+}
+
+/** Texture names the code asks for, with where it asks; unresolvable requests are listed too. */
+function collectRequests(files) {
+  const requests = [];
+  const unresolved = [];
+
+  const addRequest = (expression, site) => {
+    const names = resolveValues(expression);
+    if (names === null) {
+      unresolved.push({ site, text: expression.getText() });
+    } else {
+      names.forEach(name => requests.push({ name, site }));
+    }
+  };
+
+  for (const file of files) {
+    const sourceFile = ts.createSourceFile(
+      file,
+      fs.readFileSync(file, 'utf8'),
+      ts.ScriptTarget.Latest,
+      true
+    );
+    forEachDescendant(sourceFile, node => {
+      if (ts.isCallExpression(node) && TEXTURE_CALLS.includes(node.expression.getText())) {
+        const [argument] = node.arguments;
+        // Texture.from also takes canvases and other sources; only names are of interest
+        if (argument && (node.expression.getText() !== 'Texture.from' || resolveValues(argument))) {
+          addRequest(argument, getLine(node));
+        }
+      } else if (
+        ts.isPropertyAssignment(node) &&
+        TEXTURE_PROPERTIES.includes(node.name.getText())
+      ) {
+        // Only names written out in place; `texture: someTexture` already holds a Texture
+        const elements = ts.isArrayLiteralExpression(node.initializer)
+          ? node.initializer.elements
+          : [node.initializer];
+        if (elements.length > 0 && elements.every(isNameLiteral)) {
+          elements.forEach(element => addRequest(element, getLine(element)));
+        }
+      }
+    });
+  }
+  return { requests, unresolved };
+}
+
+/**
+ * Fails when the code asks for a texture no atlas or manifest alias provides, when an atlas's
+ * variants disagree on their frames, or when a name cannot be worked out statically. Unused
+ * frames are only listed unless `--strict` is passed.
+ */
+function checkAtlasFrames() {
+  const strict = process.argv.includes('--strict');
+  const { atlases, aliases } = readAtlases();
+  const { requests, unresolved } = collectRequests(listSourceFiles(SRC_DIR));
+
+  const available = new Set(aliases);
+  const problems = [];
+  for (const { name, variants } of atlases) {
+    const [first] = variants;
+    first.frames.forEach(frame => available.add(frame));
+    for (const variant of variants.slice(1)) {
+      const differing = [...first.frames].filter(frame => !variant.frames.has(frame));
+      differing.push(...[...variant.frames].filter(frame => !first.frames.has(frame)));
+      if (differing.length > 0) {
+        problems.push(`${name}: ${variant.src} and ${first.src} differ in ${differing.join(', ')}`);
+      }
+    }
+  }
+
+  const missing = new Map();
+  for (const { name, site } of requests) {
+    if (!available.has(name)) {
+      missing.set(name, [...(missing.get(name) ?? []), site]);
+    }
+  }
+  for (const [name, sites] of missing) {
+    problems.push(`missing texture '${name}' (${[...new Set(sites)].join(', ')})`);
+  }
+  for (const { site, text } of unresolved) {
+    problems.push(`cannot tell which texture ${text} names (${site})`);
+  }
+
+  const requested = new Set(requests.map(request => request.name));
+  console.log(
+    `🔍 ${requested.size} texture name(s) requested by src/, ${atlases.length} atlas(es) in the manifest`
+  );
+  for (const { name, variants } of atlases) {
+    const unused = [...variants[0].frames].filter(frame => !requested.has(frame)).sort();
+    if (unused.length > 0) {
+      console.log(
+        `${strict ? '❌' : '⚠️ '} ${name}: ${unused.length} unused frame(s): ${unused.join(', ')}`
+      );
+      if (strict) {
+        problems.push(`${name} has unused frames`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    process.exit(1);
+  }
+  console.log('✅ Every requested texture is available');
+}
+
+checkAtlasFrames();
@@ -1,9 +1,184 @@
 const { packAsync } = require('free-tex-packer-core');
+const Jimp = require('jimp');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'assets', 'manifest.json');
+const CONFIG_FILE = 'atlas.config.json';
+// Content hashes of the last build per folder; .cache is gitignored
+const CACHE_PATH = path.join(ROOT_DIR, '.cache', 'atlas-hashes.json');
+// Bump when output changes for the same inputs, so every folder is rebuilt once
+const CACHE_VERSION = 2;
+
+// Packer settings a folder's atlas.config.json may override under "packer"
+const DEFAULT_PACKER_OPTIONS = {
+  width: 2048,
+  height: 2048,
+  fixedSize: false,
+  powerOfTwo: false,
+  padding: 2,
+  extrude: 1,
+  allowRotation: false,
+  detectIdentical: false,
+  allowTrim: true,
+  trimMode: 1,
+  alphaThreshold: 0,
+};
+
+// And the file format under "output"; jpg has no alpha, so use it for opaque art only
+const DEFAULT_OUTPUT = {
+  textureFormat: 'png',
+  pixelFormat: 'RGBA8888',
+};
+const TEXTURE_FORMATS = ['png', 'jpg'];
+
+// Scale of each variant. Pixi reads the @<scale>x suffix as the texture resolution, so
+// every variant has the same logical size and sprites keep their scale. Keep in sync with
+// AssetLoader.TEXTURE_VARIANTS. `--variants=1` limits a run to the listed scales.
+// A folder's "scale" sizes its @1x variant: source art drawn larger than it is shown (the
+// playing cards) sets it to the display scale. Variants that would upscale the source are
+// skipped, since they cost memory without being any sharper; the manifest bundle notes the
+// skip in "$comment", and AssetLoader hands those screens the next lower variant instead.
+const DEFAULT_VARIANT_SCALES = [0.5, 1, 2];
+
+function getVariantScales() {
+  const arg = process.argv.find(item => item.startsWith('--variants='));
+  if (!arg) {
+    return DEFAULT_VARIANT_SCALES;
+  }
+
+  const scales = arg
+    .slice('--variants='.length)
+    .split(',')
+    .map(Number);
+  if (scales.length === 0 || scales.some(scale => !(scale > 0))) {
+    throw new Error(`Invalid ${arg}, expected e.g. --variants=0.5,1,2`);
+  }
+  return scales;
+}
+
+function variantSuffix(scale) {
+  return `@${scale}x`;
+}
+
+// `--folder=playingCards` (repeatable or comma separated) limits a run to those folders
+function getFolderFilter() {
+  const folders = process.argv
+    .filter(item => item.startsWith('--folder='))
+    .flatMap(item => item.slice('--folder='.length).split(','))
+    .filter(Boolean);
+  return folders.length > 0 ? folders : null;
+}
+
+/**
+ * Reads the optional atlas.config.json of a folder, e.g.
+ * `{ "scale": 0.5, "packer": { "padding": 4 }, "aliases": ["cards"], "output": { "textureFormat": "jpg" } }`.
+ * Aliases are extra manifest names for the atlas. Unknown keys are errors, so a typo never
+ * silently falls back to the defaults.
+ */
+async function readFolderConfig(resourcesDir, folderName) {
+  const configPath = path.join(resourcesDir, CONFIG_FILE);
+  let config = {};
+  try {
+    config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Invalid ${folderName}/${CONFIG_FILE}: ${error.message}`);
+    }
+  }
+
+  const fail = message => {
+    throw new Error(`Invalid ${folderName}/${CONFIG_FILE}: ${message}`);
+  };
+  const checkKeys = (object, allowed, where) => {
+    if (typeof object !== 'object' || object === null || Array.isArray(object)) {
+      fail(`${where} must be an object`);
+    }
+    const unknown = Object.keys(object).filter(key => !(key in allowed));
+    if (unknown.length > 0) {
+      fail(`unknown ${where} option(s) ${unknown.join(', ')}`);
+    }
+  };
+
+  checkKeys(config, { scale: true, packer: true, aliases: true, output: true }, 'top-level');
+  const scale = config.scale ?? 1;
+  if (typeof scale !== 'number' || !(scale > 0)) {
+    fail('scale must be a positive number');
+  }
+
+  const packer = { ...DEFAULT_PACKER_OPTIONS, ...(config.packer ?? {}) };
+  checkKeys(packer, DEFAULT_PACKER_OPTIONS, 'packer');
+  for (const [key, value] of Object.entries(packer)) {
+    if (typeof value !== typeof DEFAULT_PACKER_OPTIONS[key]) {
+      fail(`packer.${key} must be a ${typeof DEFAULT_PACKER_OPTIONS[key]}`);
+    }
+  }
+
+  const output = { ...DEFAULT_OUTPUT, ...(config.output ?? {}) };
+  checkKeys(output, DEFAULT_OUTPUT, 'output');
+  if (!TEXTURE_FORMATS.includes(output.textureFormat)) {
+    fail(`output.textureFormat must be one of ${TEXTURE_FORMATS.join(', ')}`);
+  }
+
+  const aliases = config.aliases ?? [];
+  if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias)) {
+    fail('aliases must be an array of names');
+  }
+
+  return { scale, packer, output, aliases: aliases.filter(alias => alias !== folderName) };
+}
+
+// Covers everything that shapes the output, so an unchanged hash means the files are current
+function hashFolderInputs(images, config, scales) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({ version: CACHE_VERSION, config, scales }));
+  for (const image of images) {
+    hash.update(image.name);
+    hash.update(image.contents);
+  }
+  return hash.digest('hex');
+}
+
+async function readCache() {
+  try {
+    return JSON.parse(await fs.readFile(CACHE_PATH, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+async function writeCacheEntry(folderName, hash) {
+  const cache = await readCache();
+  cache[folderName] = hash;
+  await fs.mkdir(path.dirname(CACHE_PATH), { recursive: true });
+  await fs.writeFile(CACHE_PATH, `${JSON.stringify(cache, null, 2)}\n`);
+}
+
+async function outputsExist(assetsDir, folderName, scales) {
+  try {
+    for (const scale of scales) {
+      await fs.access(path.join(assetsDir, `${folderName}${variantSuffix(scale)}.json`));
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Outputs of earlier runs, with or without a variant suffix, so stale pages never linger
+async function removePreviousOutputs(assetsDir, folderName) {
+  const escaped = folderName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escaped}(-\\d+)?(@[\\d.]+x)?\\.(png|jpg|json)$`);
+  const files = await fs.readdir(assetsDir);
+  for (const file of files.filter(item => pattern.test(item))) {
+    await fs.unlink(path.join(assetsDir, file));
+  }
+}
+
 async function getResourcesFolders() {
-  const resourcesDir = path.join(__dirname, '..', 'resources');
+  const resourcesDir = path.join(ROOT_DIR, 'resources');
   
   try {
     const items = await fs.readdir(resourcesDir, { withFileTypes: true });
@@ -16,23 +191,26 @@ async function getResourcesFolders() {
   }
 }
 
-async function generateAtlasForFolder(folderName) {
+/**
+ * Packs one resources/ folder unless its content hash matches the last build. Returns the
+ * manifest entry ({ name, scales, aliases }) of the current atlas, or null if the folder has
+ * no images or failed. `dryRun` only reports what would happen; `force` ignores the cache.
+ */
+async function generateAtlasForFolder(folderName, scales, { dryRun = false, force = false } = {}) {
   try {
     console.log(`🎨 Processing atlas: ${folderName}`);
     
-    const resourcesDir = path.join(__dirname, '..', 'resources', folderName);
-    const assetsDir = path.join(__dirname, '..', 'assets', 'images');
-    
-    // Ensure assets directory exists
-    await fs.mkdir(assetsDir, { recursive: true });
+    const resourcesDir = path.join(ROOT_DIR, 'resources', folderName);
+    const assetsDir = path.join(ROOT_DIR, 'assets', 'images');
+    const config = await readFolderConfig(resourcesDir, folderName);
     
-    // Read all PNG files from the folder
+    // Read all PNG files from the folder, sorted so the hash does not depend on readdir order
     const files = await fs.readdir(resourcesDir);
-    const sourceImageFiles = files.filter(file => file.toLowerCase().endsWith('.png'));
+    const sourceImageFiles = files.filter(file => file.toLowerCase().endsWith('.png')).sort();
     
     if (sourceImageFiles.length === 0) {
       console.log(`⚠️  No PNG files found in ${folderName}, skipping...`);
-      return;
+      return null;
     }
     
     console.log(`📁 Found ${sourceImageFiles.length} PNG files in ${folderName}`);
@@ -50,128 +228,251 @@ async function generateAtlasForFolder(folderName) {
       });
     }
     
-    // Pack textures
-    const result = await packAsync(images, {
-      textureName: folderName,
-      exporter: 'Pixi',
-      width: 2048,
-      height: 2048,
-      padding: 2,
-      extrude: 1,
-      format: 'RGBA8888',
-      textureFormat: 'png',
-      allowRotation: false,
-      detectIdentical: false,
-      allowTrim: true,
-      trimMode: 1,
-      alphaThreshold: 0,
-      removeFileExtension: true,
-      prependFolderName: false,
-    });
-    
-    if (!result || result.length === 0) {
-      throw new Error(`Failed to generate texture atlas for ${folderName}`);
-    }
-    
-    // Find JSON and PNG data in results
-    const jsonFiles = [];
-    const pngFiles = [];
-    
-    for (const item of result) {
-      if (item.name.endsWith('.json')) {
-        jsonFiles.push({
-          name: item.name,
-          buffer: item.buffer
-        });
-      } else if (item.name.endsWith('.png')) {
-        pngFiles.push({
-          name: item.name,
-          buffer: item.buffer
-        });
-      }
+    const folderScales = scales.filter(scale => config.scale * scale <= 1);
+    if (folderScales.length === 0) {
+      throw new Error(`Every variant of ${folderName} would upscale its source images`);
+    }
+    const skipped = scales.filter(scale => !folderScales.includes(scale));
+    if (skipped.length > 0) {
+      console.log(`⏭️  Skipping ${skipped.map(variantSuffix).join(', ')}: would upscale the source`);
+    }
+
+    const atlas = { name: folderName, scales: folderScales, skipped, aliases: config.aliases };
+    const hash = hashFolderInputs(images, config, folderScales);
+    const cache = await readCache();
+    const upToDate = await outputsExist(assetsDir, folderName, folderScales);
+    if (!force && cache[folderName] === hash && upToDate) {
+      console.log(`⏭️  ${folderName} is unchanged, skipping`);
+      console.log('');
+      return atlas;
+    }
+
+    if (dryRun) {
+      console.log(`🔎 Would pack ${folderName} at ${folderScales.map(variantSuffix).join(', ')} with`);
+      console.log(JSON.stringify(config, null, 2));
+      console.log('');
+      return atlas;
+    }
+
+    await fs.mkdir(assetsDir, { recursive: true });
+    await removePreviousOutputs(assetsDir, folderName);
+
+    for (const scale of folderScales) {
+      await generateVariant(folderName, images, scale, assetsDir, config);
     }
+    await writeCacheEntry(folderName, hash);
+
+    console.log(`✅ Atlas '${folderName}' generated successfully!`);
+    console.log(''); // Empty line for readability
+    return atlas;
     
-    if (jsonFiles.length === 0 || pngFiles.length === 0) {
-      throw new Error(`Missing JSON or PNG data in atlas generation result for ${folderName}`);
+  } catch (error) {
+    console.error(`❌ Failed to generate texture atlas for ${folderName}:`, error);
+    return null;
+  }
+}
+
+// The packer's own `scale` resizes finished pages, which keeps the page count and layout of the
+// full-size art and puts frames on fractional pixels. Resizing the sources first avoids both.
+async function resizeImages(images, scale) {
+  if (scale === 1) {
+    return images;
+  }
+
+  const resized = [];
+  for (const image of images) {
+    const bitmap = await Jimp.read(image.contents);
+    bitmap.resize(
+      Math.max(1, Math.round(bitmap.bitmap.width * scale)),
+      Math.max(1, Math.round(bitmap.bitmap.height * scale))
+    );
+    const contents = await new Promise((resolve, reject) => {
+      bitmap.getBuffer(Jimp.MIME_PNG, (error, buffer) => (error ? reject(error) : resolve(buffer)));
+    });
+    resized.push({ ...image, contents });
+  }
+  return resized;
+}
+
+async function generateVariant(folderName, images, scale, assetsDir, config) {
+  const suffix = variantSuffix(scale);
+  console.log(`🔍 Packing ${folderName}${suffix}`);
+
+  // Pack textures
+  const result = await packAsync(await resizeImages(images, config.scale * scale), {
+    ...config.packer,
+    textureName: folderName,
+    exporter: 'Pixi',
+    format: config.output.pixelFormat,
+    textureFormat: config.output.textureFormat,
+    removeFileExtension: true,
+    prependFolderName: false,
+  });
+  
+  if (!result || result.length === 0) {
+    throw new Error(`Failed to generate texture atlas for ${folderName}`);
+  }
+  
+  // Find JSON and PNG data in results
+  const jsonFiles = [];
+  const pngFiles = [];
+  const textureExtension = `.${config.output.textureFormat}`;
+  
+  for (const item of result) {
+    if (item.name.endsWith('.json')) {
+      jsonFiles.push({
+        name: item.name,
+        buffer: item.buffer
+      });
+    } else if (item.name.endsWith(textureExtension)) {
+      pngFiles.push({
+        name: item.name,
+        buffer: item.buffer
+      });
     }
+  }
+  
+  if (jsonFiles.length === 0 || pngFiles.length === 0) {
+    throw new Error(`Missing JSON or texture data in atlas generation result for ${folderName}`);
+  }
+  
+  // Save all PNG files with proper naming
+  const pageMapping = new Map();
+  for (let i = 0; i < pngFiles.length; i++) {
+    const pngFile = pngFiles[i];
+    const newPageName = `${folderName}-${i}${suffix}${textureExtension}`;
     
-    // Save all PNG files with proper naming
-    const pageMapping = new Map();
-    for (let i = 0; i < pngFiles.length; i++) {
-      const pngFile = pngFiles[i];
-      const newPageName = `${folderName}-${i}.png`;
-      
-      // Map original name to new name for JSON update
-      pageMapping.set(pngFile.name, newPageName);
-      
-      await fs.writeFile(
-        path.join(assetsDir, newPageName), 
-        pngFile.buffer
-      );
-      console.log(`💾 Saved texture sheet: ${newPageName}`);
-    }
-    
-    // Save each JSON file individually and create a master JSON with related_multi_packs
-    let allFrames = {};
-    let allAnimations = {};
-    let masterMeta = null;
-    
-    // Process and save individual JSON files
-    for (let jsonIndex = 0; jsonIndex < jsonFiles.length; jsonIndex++) {
-      const jsonFile = jsonFiles[jsonIndex];
-      const jsonData = JSON.parse(jsonFile.buffer.toString());
-      
-      // Update the image reference in this JSON
-      if (jsonData.meta && jsonData.meta.image) {
-        const originalImageName = jsonData.meta.image;
-        if (pageMapping.has(originalImageName)) {
-          jsonData.meta.image = pageMapping.get(originalImageName);
-        }
+    // Map original name to new name for JSON update
+    pageMapping.set(pngFile.name, newPageName);
+    
+    await fs.writeFile(
+      path.join(assetsDir, newPageName), 
+      pngFile.buffer
+    );
+    console.log(`💾 Saved texture sheet: ${newPageName}`);
+  }
+  
+  // Save each JSON file individually and create a master JSON with related_multi_packs
+  let allFrames = {};
+  let allAnimations = {};
+  let masterMeta = null;
+  
+  // Process and save individual JSON files
+  for (let jsonIndex = 0; jsonIndex < jsonFiles.length; jsonIndex++) {
+    const jsonFile = jsonFiles[jsonIndex];
+    const jsonData = JSON.parse(jsonFile.buffer.toString());
+    
+    // Update the image reference in this JSON
+    if (jsonData.meta && jsonData.meta.image) {
+      const originalImageName = jsonData.meta.image;
+      if (pageMapping.has(originalImageName)) {
+        jsonData.meta.image = pageMapping.get(originalImageName);
       }
+    }
+    
+    // Save individual JSON file
+    if (jsonIndex === 0) {
+      // First JSON becomes the master file
+      const masterJsonPath = path.join(assetsDir, `${folderName}${suffix}.json`);
       
-      // Save individual JSON file
-      if (jsonIndex === 0) {
-        // First JSON becomes the master file
-        const masterJsonPath = path.join(assetsDir, `${folderName}.json`);
-        
-        // Add related_multi_packs if there are multiple pages
-        if (jsonFiles.length > 1) {
-          const relatedPacks = [];
-          for (let i = 1; i < jsonFiles.length; i++) {
-            relatedPacks.push(`${folderName}-${i}.json`);
-          }
-          jsonData.meta.related_multi_packs = relatedPacks;
+      // Add related_multi_packs if there are multiple pages
+      if (jsonFiles.length > 1) {
+        const relatedPacks = [];
+        for (let i = 1; i < jsonFiles.length; i++) {
+          relatedPacks.push(`${folderName}-${i}${suffix}.json`);
         }
-        
-        await fs.writeFile(masterJsonPath, JSON.stringify(jsonData, null, 2));
-        masterMeta = jsonData.meta;
-        console.log(`💾 Saved master JSON: ${folderName}.json`);
-      } else {
-        // Additional JSON files
-        const pageJsonPath = path.join(assetsDir, `${folderName}-${jsonIndex}.json`);
-        await fs.writeFile(pageJsonPath, JSON.stringify(jsonData, null, 2));
-        console.log(`💾 Saved page JSON: ${folderName}-${jsonIndex}.json`);
+        jsonData.meta.related_multi_packs = relatedPacks;
       }
       
-      // Collect all frames for counting
-      if (jsonData.frames) {
-        Object.assign(allFrames, jsonData.frames);
-      }
-      if (jsonData.animations) {
-        Object.assign(allAnimations, jsonData.animations);
-      }
+      await fs.writeFile(masterJsonPath, JSON.stringify(jsonData, null, 2));
+      masterMeta = jsonData.meta;
+      console.log(`💾 Saved master JSON: ${folderName}${suffix}.json`);
+    } else {
+      // Additional JSON files
+      const pageJsonPath = path.join(assetsDir, `${folderName}-${jsonIndex}${suffix}.json`);
+      await fs.writeFile(pageJsonPath, JSON.stringify(jsonData, null, 2));
+      console.log(`💾 Saved page JSON: ${folderName}-${jsonIndex}${suffix}.json`);
     }
     
-    console.log(`✅ Atlas '${folderName}' generated successfully!`);
-    console.log(`📋 Master JSON: ${folderName}.json`);
-    console.log(`📄 Generated ${pngFiles.length} texture sheet(s)`);
-    console.log(`📄 Generated ${jsonFiles.length} JSON file(s)`);
-    console.log(`🎯 Packed ${Object.keys(allFrames).length} textures`);
-    console.log(''); // Empty line for readability
-    
+    // Collect all frames for counting
+    if (jsonData.frames) {
+      Object.assign(allFrames, jsonData.frames);
+    }
+    if (jsonData.animations) {
+      Object.assign(allAnimations, jsonData.animations);
+    }
+  }
+  
+  console.log(`📋 Master JSON: ${folderName}${suffix}.json`);
+  console.log(`📄 Generated ${pngFiles.length} texture sheet(s)`);
+  console.log(`📄 Generated ${jsonFiles.length} JSON file(s)`);
+  console.log(`🎯 Packed ${Object.keys(allFrames).length} textures`);
+}
+
+function isAtlasBundle(bundle) {
+  return bundle.assets.every(asset =>
+    [].concat(asset.src).every(src => /^assets\/images\/.+\.json$/.test(src))
+  );
+}
+
+function skippedVariantsNote(skipped) {
+  return (
+    `No ${skipped.map(variantSuffix).join('/')} variant: it would upscale the source art. ` +
+    'Those resolutions get the sharpest variant listed.'
+  );
+}
+
+// Each atlas gets a bundle named after its folder, holding the master JSON of every variant
+// under the folder name plus any configured aliases; Pixi picks a variant by resolution at load
+// time. A bundle missing variants that would upscale its source says so in "$comment". Atlas bundles whose resources/ folder no longer exists are dropped. Other bundles and
+// any extra assets in an atlas bundle are left untouched.
+async function updateManifest(atlases) {
+  let manifest = { bundles: [] };
+  try {
+    manifest = JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf8'));
   } catch (error) {
-    console.error(`❌ Failed to generate texture atlas for ${folderName}:`, error);
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    console.log('📝 No asset manifest found, creating one');
   }
+
+  for (const { name: atlasName, scales, skipped = [], aliases = [] } of atlases) {
+    const src = scales.map(scale => `assets/images/${atlasName}${variantSuffix(scale)}.json`);
+    const alias = aliases.length > 0 ? [atlasName, ...aliases] : atlasName;
+    const asset = { alias, src: src.length === 1 ? src[0] : src };
+    const index = manifest.bundles.findIndex(item => item.name === atlasName);
+    // An earlier note is replaced; the current one sits above the assets it explains
+    const { name = atlasName, $comment, assets = [], ...rest } = manifest.bundles[index] ?? {};
+    const note = skipped.length > 0 ? { $comment: skippedVariantsNote(skipped) } : {};
+    const bundle = { name, ...note, ...rest, assets };
+    if (index === -1) {
+      manifest.bundles.push(bundle);
+    } else {
+      manifest.bundles[index] = bundle;
+    }
+
+    const existingIndex = bundle.assets.findIndex(item =>
+      [].concat(item.alias).includes(atlasName)
+    );
+    if (existingIndex === -1) {
+      bundle.assets.push(asset);
+    } else {
+      bundle.assets[existingIndex] = asset;
+    }
+  }
+
+  const folders = await getResourcesFolders();
+  const stale = manifest.bundles.filter(
+    bundle => isAtlasBundle(bundle) && !folders.includes(bundle.name)
+  );
+  for (const bundle of stale) {
+    console.log(`🗑️  Removing stale atlas bundle: ${bundle.name}`);
+  }
+  manifest.bundles = manifest.bundles.filter(bundle => !stale.includes(bundle));
+
+  await fs.writeFile(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`📝 Updated asset manifest with ${atlases.length} atlas bundle(s)`);
 }
 
 async function generateAllTextureAtlases() {
@@ -179,7 +480,15 @@ async function generateAllTextureAtlases() {
     console.log('🚀 Starting texture atlas generation...');
     console.log('');
     
-    const folders = await getResourcesFolders();
+    const dryRun = process.argv.includes('--dry-run');
+    const force = process.argv.includes('--force');
+    const allFolders = await getResourcesFolders();
+    const filter = getFolderFilter();
+    const unknown = (filter ?? []).filter(folder => !allFolders.includes(folder));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown resource folder(s): ${unknown.join(', ')}`);
+    }
+    const folders = filter ?? allFolders;
     
     if (folders.length === 0) {
       console.log('⚠️  No resource folders found in resources/ directory');
@@ -189,12 +498,26 @@ async function generateAllTextureAtlases() {
     console.log(`📂 Found ${folders.length} resource folder(s): ${folders.join(', ')}`);
     console.log('');
     
+    const scales = getVariantScales();
+    console.log(`📐 Variants: ${scales.map(variantSuffix).join(', ')}`);
+    if (dryRun) {
+      console.log('🔎 Dry run: nothing will be written');
+    }
+
     // Process each folder
+    const generated = [];
     for (const folderName of folders) {
-      await generateAtlasForFolder(folderName);
+      const atlas = await generateAtlasForFolder(folderName, scales, { dryRun, force });
+      if (atlas) {
+        generated.push(atlas);
+      }
     }
     
-    console.log('🎉 All texture atlases generated successfully!');
+    if (generated.length > 0 && !dryRun && !process.argv.includes('--no-manifest')) {
+      await updateManifest(generated);
+    }
+    
+    console.log(dryRun ? '🎉 Dry run complete' : '🎉 All texture atlases generated successfully!');
     
   } catch (error) {
     console.error('❌ Failed to generate texture atlases:', error);
@@ -202,4 +525,9 @@ async function generateAllTextureAtlases() {
   }
 }
 
-generateAllTextureAtlases();
\ No newline at end of file
+// Also used by the dev server to rebuild single folders, see scripts/assetHotReload.js
+module.exports = { generateAtlasForFolder, updateManifest, CONFIG_FILE, DEFAULT_VARIANT_SCALES };
+
+if (require.main === module) {
+  generateAllTextureAtlases();
+}
@@ -1,38 +1,209 @@
-import { Application, Ticker, Container } from 'pixi.js';
-import { Scene, GameConfig, GameApplication, DebugInfo } from './types';
+import { Application, Ticker, Container, Rectangle } from 'pixi.js';
+import {
+  Scene,
+  GameEvents,
+  GameConfig,
+  GameApplication,
+  DebugInfo,
+  TransitionOptions,
+  SceneStackOptions,
+  ScenePhase,
+  InputAction,
+} from './types';
 import { DebugMenu } from './components/DebugMenu';
 import { SceneControls } from './components/SceneControls';
 import { AssetLoader } from './utils/AssetLoader';
-import { AceOfShadowsScene } from './scenes/AceOfShadowsScene';
+import { RandomService } from './utils/Random';
+import { EventBus } from './utils/EventBus';
+import { SceneStateStore } from './utils/SceneStateStore';
+import { computeViewport } from './utils/ScalingPolicy';
+import { Layout } from './utils/Layout';
+import { InputManager } from './utils/InputManager';
+import { HostBridge } from './utils/HostBridge';
+import { createDialogueSource } from './utils/DialogueSource';
+import { connectAssetHotReload } from './utils/AssetHotReload';
+import { Localization } from './utils/Localization';
+import { SceneRegistry } from './scenes';
+import { LoadingScene } from './scenes/LoadingScene';
+import { PauseMenuScene } from './scenes/PauseMenuScene';
+import { ErrorOverlayScene } from './scenes/ErrorOverlayScene';
+import { createTransition, DEFAULT_TRANSITION_DURATION, SceneTransition } from './transitions';
+
+interface ActiveTransition {
+  transition: SceneTransition;
+  outgoing: Scene | null;
+}
+
+type PauseReason = 'manual' | 'hidden' | 'blur';
+
+interface SceneStackEntry {
+  scene: Scene;
+  options: SceneStackOptions;
+  /** Registry id for scenes opened by id; only those have their state persisted. */
+  sceneId: string | null;
+}
 
 export class GameManager {
+  private static readonly DEFAULT_TRANSITION: TransitionOptions = {
+    type: 'crossfade',
+    duration: DEFAULT_TRANSITION_DURATION,
+  };
+
+  // Overlays are modal by default: the scene underneath stays visible but frozen and inert
+  private static readonly DEFAULT_OVERLAY_OPTIONS: SceneStackOptions = {
+    updateBelow: false,
+    renderBelow: true,
+    inputBelow: false,
+  };
+
+  // Caps a single frame so a stall (debugger, slow frame) never advances the simulation in one jump
+  private static readonly DEFAULT_MAX_FRAME_DELTA_MS = 50;
+
+  private static readonly DEFAULT_MAX_FIXED_STEPS = 5;
+
+  private static readonly UI_MARGIN = 10;
+
+  private static readonly BASE_SCENE_OPTIONS: SceneStackOptions = {
+    updateBelow: true,
+    renderBelow: true,
+    inputBelow: true,
+  };
+
   private app: Application;
   private config: GameConfig;
-  private currentScene: Scene | null = null;
+  private sceneStack: SceneStackEntry[] = [];
+  private currentSceneId: string | null = null;
+  private previousSceneId: string | null = null;
+  // Scenes that failed since they were last opened successfully; shown as unavailable and
+  // never used as a fallback
+  private failedSceneIds = new Set<string>();
+  // Bundles each live scene holds a reference to, released again in disposeScene
+  private retainedBundles = new Map<Scene, readonly string[]>();
+  private sceneLayer: Container;
+  private transitionLayer: Container;
+  private uiLayer: Container;
+  private uiLayout = new Layout();
+  private safeArea: Rectangle;
+  private activeTransition: ActiveTransition | null = null;
+  private switchRequestId = 0;
+  private pauseReasons = new Set<PauseReason>();
+  private timeScale = 1;
+  private fixedStepAccumulator = 0;
+  private random: RandomService;
+  private stateStore = new SceneStateStore();
+  private input = new InputManager();
+  private hostBridge: HostBridge | null = null;
+  // Undo page listeners and the ticker callback on destroy()
+  private cleanups: (() => void)[] = [];
   private debugMenu: DebugMenu;
   private sceneControls: SceneControls;
   private assetLoader: AssetLoader;
 
   public debugMode = true;
+  public readonly events = new EventBus<GameEvents>();
 
   constructor(app: Application, config: GameConfig) {
     this.app = app;
     this.config = config;
     this.assetLoader = new AssetLoader();
-    this.debugMenu = new DebugMenu();
-    this.sceneControls = new SceneControls(this);
+    AssetLoader.setTextureResolution(config.textureResolution ?? config.resolution);
+    if (config.dialogueSource) {
+      AssetLoader.setDialogueSource(createDialogueSource(config.dialogueSource));
+    }
+    if (config.loadPolicy) {
+      AssetLoader.setLoadPolicy(config.loadPolicy);
+    }
+    if (config.textureBudgetMB !== undefined) {
+      AssetLoader.setTextureBudget(config.textureBudgetMB * 1024 * 1024);
+    }
+    this.debugMenu = new DebugMenu(this.events);
+    this.sceneControls = new SceneControls(this.events);
+    this.sceneLayer = new Container();
+    this.transitionLayer = new Container();
+    this.uiLayer = new Container();
+    this.safeArea = new Rectangle(0, 0, app.screen.width, app.screen.height);
+
+    const seedParam = this.config.hashRouting ? this.getHashParam('seed') : null;
+    this.random = new RandomService(
+      seedParam
+        ? RandomService.parseSeed(seedParam)
+        : (this.config.seed ?? RandomService.generateSeed())
+    );
 
     (this.app as GameApplication).currentScene = null;
     (this.app as GameApplication).debugMode = this.debugMode;
+
+    this.setupEventHandlers();
+  }
+
+  private setupEventHandlers(): void {
+    this.events.on('sceneRequested', ({ sceneId }) => {
+      this.switchToSceneById(sceneId);
+    });
+    this.events.on('seedChangeRequested', ({ seed }) => {
+      this.setSeed(seed);
+    });
+    this.events.on('debugToggleRequested', () => {
+      this.toggleDebugMode();
+    });
+    this.events.on('fullscreenRequested', () => {
+      this.toggleFullscreen();
+    });
+    this.events.on('pauseMenuRequested', () => {
+      this.openPauseMenu();
+    });
+    this.events.on('savedStateResetRequested', () => {
+      this.resetSavedState();
+    });
+    this.events.on('localeCycleRequested', () => {
+      const locales = Localization.getLocales();
+      const next = locales[(locales.indexOf(Localization.getLocale()) + 1) % locales.length];
+      if (next) {
+        void this.setLocale(next);
+      }
+    });
   }
 
   async init(): Promise<void> {
     try {
       await this.assetLoader.loadInitialAssets();
       this.setupUI();
+      this.setupInput();
       this.setupGameLoop();
+      this.setupAutoPause();
+      this.setupStatePersistence();
+      this.cleanups.push(
+        AssetLoader.onLoadReport(report => {
+          this.events.emit('loadReported', report);
+          this.reportTranslationGaps(Localization.getLocale());
+        }),
+        // The locale is shared by every game on the page, whichever of them changed it
+        Localization.onLocaleChange(locale => {
+          this.events.emit('localeChanged', { locale });
+        })
+      );
+      if (this.config.locale) {
+        await this.setLocale(this.config.locale);
+      }
+      if (this.config.hashRouting) {
+        this.setupHashRouting();
+      }
+
+      if (__ASSET_HOT_RELOAD__) {
+        this.cleanups.push(connectAssetHotReload(this));
+      }
+
+      if (this.config.allowedHostOrigins?.length) {
+        this.hostBridge = new HostBridge(this, this.config.allowedHostOrigins);
+        this.hostBridge.attach();
+      }
+
+      if (this.config.debug === false) {
+        this.setDebugMode(false);
+      }
 
-      this.switchToScene(new AceOfShadowsScene());
+      const hashSceneId = this.config.hashRouting ? this.getHashParam('scene') : null;
+      this.switchToSceneById(hashSceneId ?? this.config.initialSceneId ?? '');
     } catch (error) {
       console.error('GameManager initialization failed:', error);
       throw error;
@@ -40,40 +211,374 @@ export class GameManager {
   }
 
   private setupUI(): void {
-    this.app.stage.addChild(this.debugMenu.container);
-    this.app.stage.addChild(this.sceneControls.container);
+    this.app.stage.addChild(this.sceneLayer);
+    this.app.stage.addChild(this.transitionLayer);
+    this.app.stage.addChild(this.uiLayer);
+    this.uiLayer.addChild(this.debugMenu.container);
+    this.uiLayer.addChild(this.sceneControls.container);
 
     this.debugMenu.init();
     this.sceneControls.init();
   }
 
-  private setupGameLoop(): void {
-    this.app.ticker.add(() => {
-      if (this.currentScene) {
-        this.currentScene.update(this.app.ticker.deltaMS);
+  private setupInput(): void {
+    // Taps on empty scene space advance; the layer's hit area is kept to the screen on resize
+    this.sceneLayer.eventMode = 'static';
+    this.input.bindPointerTap(this.sceneLayer, 'advanceDialogue');
+    this.input.onAction(action => {
+      this.dispatchAction(action);
+    });
+    const canvas = this.app.view as HTMLCanvasElement;
+    this.input.attach(
+      this.config.keyboardTarget === 'window' ? window : (canvas.parentElement ?? window)
+    );
+  }
+
+  /** Offers an action to the scenes accepting input, top first, then to the global handlers. */
+  private dispatchAction(action: InputAction): void {
+    // Scene input is blocked for the duration of a transition, as it is for pointer events
+    if (!this.activeTransition) {
+      for (let index = this.sceneStack.length - 1; index >= 0; index--) {
+        const entry = this.sceneStack[index];
+        if (!entry || !this.isAllowedBelow(index, 'inputBelow')) {
+          continue;
+        }
+
+        let handled = false;
+        this.runGuarded(entry.scene, entry.sceneId, 'input', () => {
+          handled = entry.scene.handleAction?.(action) ?? false;
+        });
+        if (handled) {
+          return;
+        }
       }
+    }
+
+    switch (action) {
+      case 'nextScene':
+        this.switchToNextScene();
+        break;
+      case 'toggleDebug':
+        this.toggleDebugMode();
+        break;
+      case 'toggleFullscreen':
+        this.toggleFullscreen();
+        break;
+      case 'pause':
+        this.openPauseMenu();
+        break;
+      default:
+        break;
+    }
+  }
+
+  getInput(): InputManager {
+    return this.input;
+  }
 
+  private setupGameLoop(): void {
+    const tick = (): void => {
       if (this.debugMode) {
         this.updateDebugInfo(this.app.ticker);
       }
+
+      // Polled even while paused so the pause button on a gamepad can resume
+      this.input.update();
+
+      if (this.isPaused()) {
+        return;
+      }
+
+      const maxFrameDelta = this.config.maxFrameDeltaMS ?? GameManager.DEFAULT_MAX_FRAME_DELTA_MS;
+      const deltaMS = Math.min(this.app.ticker.deltaMS, maxFrameDelta) * this.timeScale;
+      const fixedSteps = this.consumeFixedSteps(deltaMS);
+
+      // Both scenes keep running while a transition is in progress
+      const outgoing = this.activeTransition?.outgoing;
+      if (outgoing) {
+        const updated = this.runGuarded(outgoing, null, 'update', () => {
+          this.updateScene(outgoing, deltaMS, fixedSteps);
+        });
+        if (!updated) {
+          return;
+        }
+      }
+
+      for (const [index, entry] of this.sceneStack.entries()) {
+        if (!this.isAllowedBelow(index, 'updateBelow')) {
+          continue;
+        }
+        const updated = this.runGuarded(entry.scene, entry.sceneId, 'update', () => {
+          this.updateScene(entry.scene, deltaMS, fixedSteps);
+        });
+        // Recovery rebuilt the stack; pick up again next frame
+        if (!updated) {
+          return;
+        }
+      }
+
+      if (this.activeTransition?.transition.advance(deltaMS)) {
+        this.completeTransition();
+      }
+    };
+
+    this.app.ticker.add(tick);
+    this.cleanups.push(() => {
+      this.app.ticker.remove(tick);
+    });
+  }
+
+  /** Adds the frame delta to the fixed-step accumulator and returns how many steps are due. */
+  private consumeFixedSteps(deltaMS: number): number {
+    const stepMS = this.config.fixedTimestepMS;
+    if (!stepMS) {
+      return 0;
+    }
+
+    this.fixedStepAccumulator += deltaMS;
+    const dueSteps = Math.floor(this.fixedStepAccumulator / stepMS);
+    const maxSteps = this.config.maxFixedStepsPerFrame ?? GameManager.DEFAULT_MAX_FIXED_STEPS;
+
+    if (dueSteps > maxSteps) {
+      // Too far behind to catch up; drop the backlog instead of spiralling
+      this.fixedStepAccumulator = 0;
+      return maxSteps;
+    }
+
+    this.fixedStepAccumulator -= dueSteps * stepMS;
+    return dueSteps;
+  }
+
+  private updateScene(scene: Scene, deltaMS: number, fixedSteps: number): void {
+    const stepMS = this.config.fixedTimestepMS;
+    if (!stepMS || !scene.fixedUpdate) {
+      scene.update(deltaMS);
+      return;
+    }
+
+    for (let i = 0; i < fixedSteps; i++) {
+      scene.fixedUpdate(stepMS);
+    }
+    scene.render?.(this.fixedStepAccumulator / stepMS);
+  }
+
+  /** Registers a page-level listener that destroy() removes again. */
+  private addDomListener(target: EventTarget, type: string, listener: () => void): void {
+    target.addEventListener(type, listener);
+    this.cleanups.push(() => {
+      target.removeEventListener(type, listener);
     });
   }
 
+  private setupAutoPause(): void {
+    this.addDomListener(document, 'visibilitychange', () => {
+      this.setPauseReason('hidden', document.visibilityState === 'hidden');
+    });
+    this.addDomListener(window, 'blur', () => {
+      this.setPauseReason('blur', true);
+    });
+    this.addDomListener(window, 'focus', () => {
+      this.setPauseReason('blur', false);
+    });
+  }
+
+  private setupStatePersistence(): void {
+    // pagehide is the last reliable moment before a reload or tab close, especially on mobile
+    this.addDomListener(window, 'pagehide', () => {
+      this.saveBaseSceneState();
+    });
+    this.addDomListener(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.saveBaseSceneState();
+      }
+    });
+  }
+
+  private saveBaseSceneState(): void {
+    const base = this.sceneStack[0];
+    if (!base?.sceneId || !base.scene.snapshot) {
+      return;
+    }
+
+    try {
+      this.stateStore.save(base.sceneId, base.scene.snapshot());
+    } catch (error) {
+      console.error(`Failed to snapshot scene '${base.sceneId}':`, error);
+    }
+  }
+
+  private restoreSceneState(scene: Scene, sceneId: string): void {
+    const state = this.stateStore.load(sceneId);
+    if (state === undefined || !scene.restore) {
+      return;
+    }
+
+    try {
+      scene.restore(state);
+    } catch (error) {
+      // A stale or corrupt snapshot should never keep the scene from starting
+      console.error(`Failed to restore scene '${sceneId}', discarding saved state:`, error);
+      this.stateStore.remove(sceneId);
+    }
+  }
+
+  /**
+   * Dev-mode hot reload: unloads bundles whose files changed and, if the scenes on stage use
+   * any of them, reopens the current scene with its saved state on top of the new assets.
+   */
+  async hotReloadBundles(bundles: readonly string[]): Promise<void> {
+    const affected = AssetLoader.getAffectedBundles(bundles);
+    const inUse = this.sceneStack.some(entry =>
+      (entry.scene.assetBundles ?? []).some(bundle => affected.has(bundle))
+    );
+    if (inUse) {
+      await this.reopenWithoutBundles(bundles);
+    } else {
+      await AssetLoader.invalidateBundles(bundles);
+    }
+
+    // Translations are not a scene bundle; re-announcing the locale redraws translated text
+    const locale = Localization.getLocale();
+    if (bundles.includes(AssetLoader.getDialogueTranslationBundle(locale))) {
+      await AssetLoader.loadDialogueTranslations(locale);
+      this.events.emit('localeChanged', { locale });
+    }
+  }
+
+  private async reopenWithoutBundles(bundles: readonly string[]): Promise<void> {
+    // Scenes not opened by id cannot be recreated, so those fall back to the default scene
+    const sceneId = this.currentSceneId ?? '';
+    const base = this.sceneStack[0];
+    this.saveBaseSceneState();
+    ++this.switchRequestId;
+    // Cutting away disposes the stale scene, releasing the textures that are about to go
+    const title = base ? this.getSceneTitle(base.scene, base.sceneId) : '';
+    this.activateScene(new LoadingScene(title), { type: 'cut' }, null);
+    await AssetLoader.invalidateBundles(bundles);
+    await this.openRegisteredScene(sceneId, { type: 'cut' }, false);
+  }
+
+  /**
+   * Switches the UI and dialogue language of every game on the page. Dialogue translations
+   * are loaded first so text never shows a half-translated state.
+   */
+  async setLocale(locale: string): Promise<void> {
+    if (Localization.hasLocale(locale)) {
+      try {
+        await AssetLoader.loadDialogueTranslations(locale);
+      } catch (error) {
+        console.error(`Failed to load '${locale}' dialogue, showing the source lines:`, error);
+      }
+    }
+
+    Localization.setLocale(locale);
+    if (Localization.getLocale() === locale) {
+      this.reportTranslationGaps(locale);
+    }
+  }
+
+  /** Logs untranslated strings and characters the UI font cannot draw, in development builds. */
+  private reportTranslationGaps(locale: string): void {
+    if (!__DEV__ || locale === Localization.DEFAULT_LOCALE) {
+      return;
+    }
+
+    const missing = [
+      ...Localization.getMissingTranslations(locale),
+      ...AssetLoader.getMissingDialogueTranslations(locale),
+    ];
+    if (missing.length > 0) {
+      const keys = missing.map(({ table, key }) => `${table}:${key}`).join(', ');
+      console.warn(`${missing.length.toString()} missing translation(s) for '${locale}': ${keys}`);
+    }
+
+    const dialogue = AssetLoader.getMagicWordsData()?.dialogue.map(entry => entry.text) ?? [];
+    const glyphs = Localization.findMissingGlyphs(locale, dialogue);
+    if (glyphs.length > 0) {
+      console.warn(`MonospaceBold has no glyphs for ${glyphs.join(' ')}, needed by '${locale}'`);
+    }
+  }
+
+  /** Forgets every saved scene state and restarts the current scene from scratch. */
+  resetSavedState(): void {
+    this.stateStore.clear();
+    this.restartCurrentScene(false);
+  }
+
+  private setPauseReason(reason: PauseReason, active: boolean): void {
+    if (active) {
+      this.pauseReasons.add(reason);
+    } else {
+      this.pauseReasons.delete(reason);
+    }
+  }
+
+  /** Freezes every scene and transition. Automatic pauses (hidden tab, lost focus) stack on top. */
+  pause(): void {
+    this.setPauseReason('manual', true);
+  }
+
+  /** Lifts a manual pause. The game stays paused while the tab is hidden or unfocused. */
+  resume(): void {
+    this.setPauseReason('manual', false);
+  }
+
+  isPaused(): boolean {
+    return this.pauseReasons.size > 0;
+  }
+
+  setTimeScale(scale: number): void {
+    this.timeScale = Math.max(0, scale);
+  }
+
+  getTimeScale(): number {
+    return this.timeScale;
+  }
+
+  private setupHashRouting(): void {
+    this.addDomListener(window, 'hashchange', () => {
+      const sceneId = this.getHashParam('scene');
+      if (sceneId && sceneId !== this.currentSceneId) {
+        this.switchToSceneById(sceneId);
+      }
+    });
+  }
+
+  private getHashParam(key: string): string | null {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    return params.get(key);
+  }
+
+  private writeHashParam(key: string, value: string): void {
+    if (!this.config.hashRouting) {
+      return;
+    }
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    params.set(key, value);
+    // replaceState keeps scene switches out of the history stack and does not fire hashchange
+    window.history.replaceState(null, '', `#${params.toString()}`);
+  }
+
   private updateDebugInfo(ticker: Ticker): void {
     const debugInfo: DebugInfo = {
       fps: Math.round(ticker.FPS * 10) / 10,
-      sceneName: this.currentScene?.name ?? 'No Scene',
+      sceneName:
+        this.sceneStack.length > 0
+          ? this.sceneStack.map(entry => entry.scene.name).join(' > ')
+          : 'No Scene',
       spriteCount: this.getSpriteCount(),
+      paused: this.isPaused(),
+      pauseReasons: Array.from(this.pauseReasons),
+      timeScale: this.timeScale,
+      seed: this.random.seed,
+      textureBytes: AssetLoader.getTextureBytes(),
+      textureBundles: AssetLoader.getTextureReport(),
     };
 
     this.debugMenu.updateDebugInfo(debugInfo);
   }
 
   private getSpriteCount(): number {
-    if (!this.currentScene) {
-      return 0;
-    }
-
     let count = 0;
     const countSprites = (container: Container): void => {
       for (const child of container.children) {
@@ -86,63 +591,578 @@ export class GameManager {
       }
     };
 
-    countSprites(this.currentScene.container);
+    for (const entry of this.sceneStack) {
+      countSprites(entry.scene.container);
+    }
     return count;
   }
 
-  switchToScene(newScene: Scene): void {
+  /**
+   * Switches to a registered scene. Unknown ids fall back to the default scene so a stale
+   * or mistyped link still lands somewhere sensible. Load failures are logged and shown on
+   * the loading screen rather than surfaced to the caller.
+   */
+  switchToSceneById(sceneId: string, transition?: TransitionOptions): void {
+    void this.openRegisteredScene(sceneId, transition, true);
+  }
+
+  private openRegisteredScene(
+    sceneId: string,
+    transition: TransitionOptions | undefined,
+    saveOutgoing: boolean
+  ): Promise<void> {
+    let definition = SceneRegistry.get(sceneId);
+    if (!definition) {
+      if (sceneId) {
+        console.warn(`Unknown scene '${sceneId}', falling back to the default scene`);
+      }
+      definition = SceneRegistry.getDefault();
+    }
+
+    if (!definition) {
+      throw new Error('No scenes registered');
+    }
+
+    this.currentSceneId = definition.id;
+    this.writeHashParam('scene', definition.id);
+    return this.loadAndActivate(
+      definition.create({ random: this.random }),
+      transition ?? definition.transition ?? GameManager.DEFAULT_TRANSITION,
+      saveOutgoing
+    ).catch((error: unknown) => {
+      console.error(`Failed to switch to scene '${definition.id}':`, error);
+    });
+  }
+
+  /**
+   * Switches to a new scene once its asset bundles are loaded. Scenes whose bundles are
+   * already cached switch synchronously; otherwise a loading screen is shown in the meantime.
+   * If another switch is requested while loading, the newer request wins. Load and init
+   * failures are handled by the error boundary, so the promise only rejects on internal errors.
+   */
+  switchToScene(
+    newScene: Scene,
+    transitionOptions: TransitionOptions = GameManager.DEFAULT_TRANSITION
+  ): Promise<void> {
+    this.currentSceneId = null;
+    return this.loadAndActivate(newScene, transitionOptions, true);
+  }
+
+  private loadAndActivate(
+    newScene: Scene,
+    transitionOptions: TransitionOptions,
+    saveOutgoing: boolean
+  ): Promise<void> {
+    if (saveOutgoing) {
+      this.saveBaseSceneState();
+    }
+
+    const requestId = ++this.switchRequestId;
+    const sceneId = this.currentSceneId;
+    const bundles = newScene.assetBundles ?? [];
+    this.retainBundles(newScene);
+
+    if (AssetLoader.areBundlesLoaded(bundles)) {
+      this.activateScene(newScene, transitionOptions, sceneId);
+      return Promise.resolve();
+    }
+
+    return this.preloadAndActivate(newScene, bundles, transitionOptions, sceneId, requestId);
+  }
+
+  private async preloadAndActivate(
+    newScene: Scene,
+    bundles: readonly string[],
+    transitionOptions: TransitionOptions,
+    sceneId: string | null,
+    requestId: number
+  ): Promise<void> {
+    const loadingScene = new LoadingScene(this.getSceneTitle(newScene, sceneId));
+    this.activateScene(loadingScene, { type: 'cut' }, null);
+
     try {
-      if (this.currentScene) {
-        this.app.stage.removeChild(this.currentScene.container);
-        this.currentScene.destroy();
+      await AssetLoader.loadBundles(bundles, progress => {
+        loadingScene.setProgress(progress);
+      });
+    } catch (error) {
+      if (requestId === this.switchRequestId) {
+        this.handleSceneError(newScene, sceneId, 'load', error);
+      } else {
+        this.disposeScene(newScene);
       }
+      return;
+    }
+
+    if (requestId !== this.switchRequestId) {
+      // Superseded by a later switch while loading
+      this.disposeScene(newScene);
+      return;
+    }
 
-      this.currentScene = newScene;
-      (this.app as GameApplication).currentScene = newScene;
+    this.activateScene(newScene, transitionOptions, sceneId);
+  }
+
+  /**
+   * Puts a scene on stage. The outgoing scene keeps updating until the transition finishes
+   * and is destroyed only then; scene input is blocked for the duration of the transition.
+   */
+  private activateScene(
+    newScene: Scene,
+    transitionOptions: TransitionOptions,
+    sceneId: string | null
+  ): void {
+    // A switch requested mid-transition jumps the running one to its end first
+    if (this.activeTransition) {
+      this.completeTransition();
+    }
 
-      this.app.stage.addChildAt(newScene.container, 0);
+    // The scene is started before it replaces anything, so a failing init leaves the stage intact
+    newScene.setEventBus?.(this.events);
+    const started = this.runGuarded(newScene, sceneId, 'init', () => {
       newScene.init();
-      newScene.resize(this.app.screen.width, this.app.screen.height);
+      if (sceneId) {
+        this.restoreSceneState(newScene, sceneId);
+      }
+      newScene.resize(this.app.screen.width, this.app.screen.height, this.safeArea);
+    });
+    if (!started) {
+      return;
+    }
+
+    const outgoingEntry = this.sceneStack[0];
+    const outgoing = outgoingEntry?.scene ?? null;
+    if (outgoingEntry?.sceneId && outgoingEntry.sceneId !== sceneId) {
+      this.previousSceneId = outgoingEntry.sceneId;
+    }
+    if (sceneId) {
+      this.setSceneAvailable(sceneId, true);
+    }
+
+    // Overlays belong to the scene being replaced and go away with it immediately
+    this.clearOverlays();
+
+    this.sceneStack = [{ scene: newScene, options: GameManager.BASE_SCENE_OPTIONS, sceneId }];
+    (this.app as GameApplication).currentScene = newScene;
+
+    this.sceneLayer.addChild(newScene.container);
+
+    const transition = createTransition(transitionOptions);
+    transition.resize(this.app.screen.width, this.app.screen.height);
+    transition.begin(outgoing?.container ?? null, newScene.container, this.transitionLayer);
+
+    this.activeTransition = { transition, outgoing };
+    this.sceneLayer.interactiveChildren = false;
+
+    if (transition.duration === 0) {
+      this.completeTransition();
+    }
+
+    this.events.emit('sceneChanged', { sceneId, sceneName: newScene.name });
+  }
+
+  private completeTransition(): void {
+    if (!this.activeTransition) {
+      return;
+    }
+
+    const { transition, outgoing } = this.activeTransition;
+    this.activeTransition = null;
+
+    transition.end();
+
+    if (outgoing) {
+      this.disposeScene(outgoing);
+    }
+
+    this.sceneLayer.interactiveChildren = true;
+  }
+
+  /** Runs scene code, routing anything it throws to the error boundary. False if it threw. */
+  private runGuarded(
+    scene: Scene,
+    sceneId: string | null,
+    phase: ScenePhase,
+    action: () => void
+  ): boolean {
+    try {
+      action();
+      return true;
+    } catch (error) {
+      this.handleSceneError(scene, sceneId, phase, error);
+      return false;
+    }
+  }
 
-      this.sceneControls.updateCurrentScene(newScene.name);
+  /**
+   * Error boundary for scene code. The failing scene is torn down and the game falls back to
+   * the previous or default scene, with an overlay that reports the error and offers a retry.
+   */
+  private handleSceneError(
+    scene: Scene,
+    sceneId: string | null,
+    phase: ScenePhase,
+    error: unknown
+  ): void {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Scene '${scene.name}' failed during ${phase}:`, error);
+    this.events.emit('sceneFailed', { sceneId, sceneName: scene.name, phase, message });
+
+    if (scene instanceof ErrorOverlayScene) {
+      // Nothing sensible left to show; never recurse into another overlay
+      this.disposeScene(scene);
+      return;
+    }
+
+    if (this.activeTransition?.outgoing === scene) {
+      // Already on its way out, so finishing the transition is all the recovery it needs
+      this.completeTransition();
+      return;
+    }
+
+    const index = this.sceneStack.findIndex(entry => entry.scene === scene);
+    if (index > 0) {
+      while (this.sceneStack.length > index) {
+        this.popScene();
+      }
+      this.showErrorOverlay(this.getSceneTitle(scene, null), message, null);
+      return;
+    }
+
+    if (index === 0) {
+      this.completeTransition();
+      this.clearOverlays();
+      this.sceneStack = [];
+      (this.app as GameApplication).currentScene = null;
+    }
+    this.disposeScene(scene);
+
+    if (sceneId) {
+      this.setSceneAvailable(sceneId, false);
+    }
+    const retry = sceneId ? (): void => this.retryScene(sceneId) : null;
+
+    // A failed switch leaves the scene it was leaving on stage; stay there
+    const base = this.sceneStack[0];
+    if (base?.sceneId && !this.failedSceneIds.has(base.sceneId)) {
+      this.currentSceneId = base.sceneId;
+      this.writeHashParam('scene', base.sceneId);
+      this.showErrorOverlay(this.getSceneTitle(scene, sceneId), message, retry);
+      return;
+    }
+
+    const fallbackId = [this.previousSceneId, SceneRegistry.getDefault()?.id].find(
+      (id): id is string => !!id && !this.failedSceneIds.has(id)
+    );
+
+    if (!fallbackId) {
+      this.currentSceneId = null;
+      this.activateScene(
+        new ErrorOverlayScene(this.getSceneTitle(scene, sceneId), message, retry, null),
+        { type: 'cut' },
+        null
+      );
+      return;
+    }
+
+    void this.openRegisteredScene(fallbackId, { type: 'cut' }, false).then(() => {
+      // Skip the overlay if the fallback failed too or the user has moved on meanwhile
+      if (this.sceneStack[0]?.sceneId === fallbackId) {
+        this.showErrorOverlay(this.getSceneTitle(scene, sceneId), message, retry);
+      }
+    });
+  }
+
+  /** The translated title of a registered scene; other scenes only have their name. */
+  private getSceneTitle(scene: Scene, sceneId: string | null): string {
+    return sceneId ? Localization.t(`scene.${sceneId}`) : scene.name;
+  }
+
+  private showErrorOverlay(sceneName: string, message: string, retry: (() => void) | null): void {
+    void this.pushScene(
+      new ErrorOverlayScene(sceneName, message, retry, () => {
+        this.popScene();
+      })
+    );
+  }
+
+  private retryScene(sceneId: string): void {
+    this.setSceneAvailable(sceneId, true);
+    this.switchToSceneById(sceneId, { type: 'cut' });
+  }
+
+  /**
+   * A failed scene stays switchable by id (which acts as a retry), but its button is disabled
+   * and scene cycling skips it, so one broken data source never takes the other scenes down.
+   */
+  private setSceneAvailable(sceneId: string, available: boolean): void {
+    if (available !== this.failedSceneIds.has(sceneId)) {
+      return;
+    }
+
+    if (available) {
+      this.failedSceneIds.delete(sceneId);
+    } else {
+      this.failedSceneIds.add(sceneId);
+    }
+    this.events.emit('sceneAvailabilityChanged', { sceneId, available });
+  }
+
+  isSceneAvailable(sceneId: string): boolean {
+    return SceneRegistry.has(sceneId) && !this.failedSceneIds.has(sceneId);
+  }
+
+  /** Removes a scene from the stage and destroys it; a throwing destroy is logged, not fatal. */
+  private disposeScene(scene: Scene): void {
+    this.sceneLayer.removeChild(scene.container);
+    try {
+      scene.destroy();
     } catch (error) {
-      console.error('Failed to switch scene:', error);
+      console.error(`Failed to destroy scene '${scene.name}':`, error);
+    }
+    this.releaseBundles(scene);
+  }
+
+  /** Keeps the scene's bundles from being unloaded until the scene is disposed. */
+  private retainBundles(scene: Scene): void {
+    const bundles = scene.assetBundles ?? [];
+    if (bundles.length > 0 && !this.retainedBundles.has(scene)) {
+      AssetLoader.acquireBundles(bundles);
+      this.retainedBundles.set(scene, bundles);
+    }
+  }
+
+  private releaseBundles(scene: Scene): void {
+    const bundles = this.retainedBundles.get(scene);
+    if (bundles) {
+      this.retainedBundles.delete(scene);
+      AssetLoader.releaseBundles(bundles);
+    }
+  }
+
+  /**
+   * Pushes a scene on top of the stack, e.g. a pause menu or modal. The options declare
+   * what the scenes below it keep doing while it is open.
+   */
+  async pushScene(scene: Scene, options: Partial<SceneStackOptions> = {}): Promise<void> {
+    this.retainBundles(scene);
+    try {
+      await AssetLoader.loadBundles(scene.assetBundles ?? []);
+    } catch (error) {
+      this.releaseBundles(scene);
       throw error;
     }
+
+    scene.setEventBus?.(this.events);
+    const started = this.runGuarded(scene, null, 'init', () => {
+      scene.init();
+      scene.resize(this.app.screen.width, this.app.screen.height, this.safeArea);
+    });
+    if (!started) {
+      return;
+    }
+
+    this.sceneStack.push({
+      scene,
+      options: { ...GameManager.DEFAULT_OVERLAY_OPTIONS, ...options },
+      sceneId: null,
+    });
+    (this.app as GameApplication).currentScene = scene;
+
+    this.sceneLayer.addChild(scene.container);
+
+    this.applyStackState();
+  }
+
+  /** Removes and destroys the top scene. The base scene can only be replaced, never popped. */
+  popScene(): void {
+    if (this.sceneStack.length <= 1) {
+      console.warn('popScene called with no overlay on the scene stack');
+      return;
+    }
+
+    const entry = this.sceneStack.pop();
+    if (entry) {
+      this.disposeScene(entry.scene);
+    }
+
+    (this.app as GameApplication).currentScene = this.getTopScene();
+    this.applyStackState();
+  }
+
+  /** Swaps the top scene for another. Replacing the base scene is a regular scene switch. */
+  async replaceScene(scene: Scene, options: Partial<SceneStackOptions> = {}): Promise<void> {
+    if (this.sceneStack.length <= 1) {
+      await this.switchToScene(scene);
+      return;
+    }
+
+    this.popScene();
+    await this.pushScene(scene, options);
+  }
+
+  openPauseMenu(): void {
+    if (this.getTopScene() instanceof PauseMenuScene) {
+      return;
+    }
+
+    void this.pushScene(
+      new PauseMenuScene(() => {
+        this.popScene();
+      })
+    );
+  }
+
+  /** The scene at the bottom of the stack, i.e. the one the current overlays belong to. */
+  getBaseScene(): Scene | null {
+    return this.sceneStack[0]?.scene ?? null;
+  }
+
+  getTopScene(): Scene | null {
+    return this.sceneStack[this.sceneStack.length - 1]?.scene ?? null;
+  }
+
+  private clearOverlays(): void {
+    while (this.sceneStack.length > 1) {
+      this.popScene();
+    }
+  }
+
+  /** True when every entry above the given index allows the given behaviour below it. */
+  private isAllowedBelow(index: number, flag: keyof SceneStackOptions): boolean {
+    for (let i = index + 1; i < this.sceneStack.length; i++) {
+      if (!this.sceneStack[i]?.options[flag]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  private applyStackState(): void {
+    this.sceneStack.forEach((entry, index) => {
+      entry.scene.container.visible = this.isAllowedBelow(index, 'renderBelow');
+      entry.scene.container.interactiveChildren = this.isAllowedBelow(index, 'inputBelow');
+    });
   }
 
   handleResize(): void {
     const canvas = this.app.view as HTMLCanvasElement;
     const container = canvas.parentElement;
 
-    if (!container) {
+    // Detached or hidden (display: none) hosts have no size to lay out against
+    if (!container || container.clientWidth === 0 || container.clientHeight === 0) {
       return;
     }
 
-    const containerWidth = container.clientWidth;
-    const containerHeight = container.clientHeight;
-
     canvas.style.transform = '';
     canvas.style.transformOrigin = '';
 
-    // Fixed height approach - maintain the design height and calculate virtual width
-    const designHeight = this.config.height;
-    const aspectRatio = containerWidth / containerHeight;
-    const virtualWidth = Math.ceil(designHeight * aspectRatio);
+    const viewport = computeViewport(
+      this.config.scalingPolicy ?? 'fixedHeight',
+      this.config.width,
+      this.config.height,
+      container.clientWidth,
+      container.clientHeight
+    );
+    const { virtualWidth, virtualHeight, safeArea } = viewport;
+
+    this.app.renderer.resize(virtualWidth, virtualHeight);
 
-    this.app.renderer.resize(virtualWidth, designHeight);
+    canvas.style.width = `${viewport.cssWidth}px`;
+    canvas.style.height = `${viewport.cssHeight}px`;
+    canvas.style.left = `${viewport.offsetX}px`;
+    canvas.style.top = `${viewport.offsetY}px`;
+    canvas.style.imageRendering = this.config.scalingPolicy === 'pixelPerfect' ? 'pixelated' : '';
 
-    canvas.style.width = `${containerWidth}px`;
-    canvas.style.height = `${containerHeight}px`;
+    this.safeArea = safeArea;
+    this.sceneLayer.hitArea = new Rectangle(0, 0, virtualWidth, virtualHeight);
+    this.uiLayout.update(new Rectangle(0, 0, virtualWidth, virtualHeight), safeArea);
+    this.pinUI(safeArea);
 
-    if (this.currentScene) {
-      this.currentScene.resize(virtualWidth, designHeight);
+    const outgoing = this.activeTransition?.outgoing;
+    if (outgoing) {
+      this.runGuarded(outgoing, null, 'resize', () => {
+        outgoing.resize(virtualWidth, virtualHeight, safeArea);
+      });
+    }
+    this.activeTransition?.transition.resize(virtualWidth, virtualHeight);
+
+    // Copied because a failing scene makes the error boundary rebuild the stack
+    for (const entry of [...this.sceneStack]) {
+      if (!this.sceneStack.includes(entry)) {
+        continue;
+      }
+      this.runGuarded(entry.scene, entry.sceneId, 'resize', () => {
+        entry.scene.resize(virtualWidth, virtualHeight, safeArea);
+      });
     }
   }
 
+  /** Side by side when there is room, otherwise the scene controls drop below the debug menu. */
+  private pinUI(safeArea: Rectangle): void {
+    const margin = GameManager.UI_MARGIN;
+    const debugBounds = this.debugMenu.container.getLocalBounds();
+    const controlsBounds = this.sceneControls.container.getLocalBounds();
+    const sideBySide = debugBounds.width + controlsBounds.width + margin * 3 <= safeArea.width;
+
+    this.uiLayout.pin(this.debugMenu.container, {
+      anchor: 'top-left',
+      x: { margin },
+      y: { margin },
+    });
+    this.uiLayout.pin(
+      this.sceneControls.container,
+      sideBySide
+        ? { anchor: 'top-right', x: { margin }, y: { margin }, alignBounds: true }
+        : { anchor: 'top-left', x: { margin }, y: { margin: debugBounds.height + margin * 2 } }
+    );
+  }
+
+  getSeed(): number {
+    return this.random.seed;
+  }
+
+  /**
+   * Changes the seed and restarts the current scene so it replays from the new seed. The seed
+   * is written to the URL so the link reproduces the run.
+   */
+  setSeed(seed: number): void {
+    this.random.setSeed(seed);
+    this.writeHashParam('seed', this.random.seed.toString());
+    // A new seed means a new run, so progress saved under the old one is dropped
+    this.restartCurrentScene(false);
+  }
+
+  /** Cycles through the registered scenes in registration order, skipping failed ones. */
+  switchToNextScene(): void {
+    const definitions = SceneRegistry.getAll();
+    const index = definitions.findIndex(definition => definition.id === this.currentSceneId);
+
+    for (let step = 1; step <= definitions.length; step++) {
+      const next = definitions[(index + step) % definitions.length];
+      if (next && next.id !== this.currentSceneId && this.isSceneAvailable(next.id)) {
+        this.switchToSceneById(next.id);
+        return;
+      }
+    }
+  }
+
+  /** Re-creates the current registered scene, optionally carrying its state over. */
+  restartCurrentScene(keepState = true): void {
+    if (!this.currentSceneId) {
+      return;
+    }
+
+    if (!keepState) {
+      this.stateStore.remove(this.currentSceneId);
+    }
+    void this.openRegisteredScene(this.currentSceneId, { type: 'cut' }, keepState);
+  }
+
   toggleFullscreen(): void {
     if (!document.fullscreenElement) {
-      document.documentElement.requestFullscreen().catch((err: unknown) => {
+      // The host element rather than the page, so an embedded game fills the screen on its own
+      const host = (this.app.view as HTMLCanvasElement).parentElement ?? document.documentElement;
+      host.requestFullscreen().catch((err: unknown) => {
         console.error('Error attempting to enable fullscreen:', err);
       });
     } else {
@@ -151,8 +1171,43 @@ export class GameManager {
   }
 
   toggleDebugMode(): void {
-    this.debugMode = !this.debugMode;
-    (this.app as GameApplication).debugMode = this.debugMode;
-    this.debugMenu.setVisible(this.debugMode);
+    this.setDebugMode(!this.debugMode);
+  }
+
+  setDebugMode(enabled: boolean): void {
+    this.debugMode = enabled;
+    (this.app as GameApplication).debugMode = enabled;
+    this.events.emit('debugToggled', { enabled });
+  }
+
+  /**
+   * Tears the game down: saves the current scene, destroys every scene and removes the ticker
+   * callback and all page listeners. The Application itself belongs to the caller and is left
+   * for it to destroy.
+   */
+  destroy(): void {
+    this.saveBaseSceneState();
+
+    // Makes any load still in flight discard its scene instead of activating it
+    this.switchRequestId++;
+
+    for (const cleanup of this.cleanups) {
+      cleanup();
+    }
+    this.cleanups = [];
+    this.input.detach();
+    this.hostBridge?.detach();
+    this.hostBridge = null;
+
+    if (this.activeTransition) {
+      this.completeTransition();
+    }
+    for (const entry of this.sceneStack.reverse()) {
+      this.disposeScene(entry.scene);
+    }
+    this.sceneStack = [];
+    (this.app as GameApplication).currentScene = null;
+
+    this.events.clear();
   }
 }
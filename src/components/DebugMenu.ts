@@ -1,64 +1,314 @@
 import { Container, Graphics, BitmapText } from 'pixi.js';
-import { DebugInfo } from '../types';
+import {
+  DebugInfo,
+  GameEvents,
+  LoadFailure,
+  LoadReport,
+  TextureReportEntry,
+  TranslationParams,
+} from '../types';
 import { Colors } from '../utils/Colors';
+import { EventBus } from '../utils/EventBus';
+import { Localization } from '../utils/Localization';
+import { RandomService } from '../utils/Random';
+import { formatBytes } from '../utils/TextureMemory';
+
+interface FailureGroup {
+  kind: string;
+  names: string[];
+  /** Names left out to fit the menu. */
+  hidden: number;
+}
 
 export class DebugMenu {
   public container: Container;
+  private events: EventBus<GameEvents>;
   private background: Graphics;
   private fpsText!: BitmapText;
   private spriteText!: BitmapText;
+  private timeText!: BitmapText;
+  private seedText!: BitmapText;
+  private textureText!: BitmapText;
+  private textureDetailText!: BitmapText;
+  private errorText!: BitmapText;
+  private lastErrorText!: BitmapText;
+  private assetText!: BitmapText;
+  private loadDetailText!: BitmapText;
+  private languageText!: BitmapText;
+  private texturePageText!: BitmapText;
+  private errorCount = 0;
+  private seed = 0;
+  private texturePage = 0;
+  private texturePages = 1;
+  private lastReport: LoadReport | null = null;
+  private buttonRow: Container;
 
-  private readonly POS_X = 10;
-  private readonly POS_Y = 40;
   private readonly PADDING = 10;
   private readonly LINE_HEIGHT = 18;
   private readonly FONT_SIZE = 16;
+  private readonly DETAIL_LINE_HEIGHT = 14;
+  private readonly DETAIL_FONT_SIZE = 12;
+  private readonly TEXTURE_DETAIL_LINES = 3;
+  private readonly LOAD_DETAIL_LINES = 4;
+  private readonly WIDTH = 220;
+  private readonly BUTTON_WIDTH = 85;
+  private readonly BUTTON_HEIGHT = 24;
+  private readonly BUTTON_SPACING = 5;
+  private readonly BUTTONS_PER_ROW = 2;
+  private readonly BUTTON_ROWS = 3;
+  private readonly MAX_ERROR_CHARS = 20;
+  private readonly MAX_BUNDLE_CHARS = 11;
 
-  constructor() {
+  constructor(events: EventBus<GameEvents>) {
+    this.events = events;
     this.container = new Container();
     this.background = new Graphics();
+    this.buttonRow = new Container();
   }
 
   init(): void {
-    this.setupBackground();
     this.setupTexts();
+    this.setupButtons();
     this.setupLayout();
+    this.setupBackground();
+
+    this.events.on('debugToggled', ({ enabled }) => {
+      this.setVisible(enabled);
+    });
+    this.events.on('sceneFailed', ({ sceneName, phase, message }) => {
+      this.logError(`${sceneName} ${phase}: ${message}`);
+    });
+    this.events.on('loadReported', report => {
+      this.showLoadReport(report);
+    });
+    this.events.on('localeChanged', () => {
+      this.updateLanguageLabel();
+      if (this.lastReport) {
+        this.showLoadReport(this.lastReport);
+      }
+    });
   }
 
   private setupBackground(): void {
     this.background.beginFill(0x000000, 0.7);
     this.background.lineStyle(1, Colors.DEBUG_GREEN, 1);
-    this.background.drawRoundedRect(0, 0, 200, 3 * this.LINE_HEIGHT + 2 * this.PADDING, 5);
+    this.background.drawRoundedRect(
+      0,
+      0,
+      this.WIDTH,
+      this.getTextHeight() +
+        3 * this.PADDING +
+        this.BUTTON_ROWS * (this.BUTTON_HEIGHT + this.BUTTON_SPACING) -
+        this.BUTTON_SPACING,
+      5
+    );
     this.background.endFill();
-    this.container.addChild(this.background);
+    this.container.addChildAt(this.background, 0);
   }
 
   private setupTexts(): void {
-    this.fpsText = new BitmapText('FPS: 0', {
+    this.fpsText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: this.FONT_SIZE,
+    });
+    this.spriteText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: this.FONT_SIZE,
+    });
+    this.timeText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: this.FONT_SIZE,
+    });
+    this.seedText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: this.FONT_SIZE,
+    });
+    this.textureText = new BitmapText('', {
       fontName: 'MonospaceBold',
       fontSize: this.FONT_SIZE,
     });
-    this.spriteText = new BitmapText('Sprites: 0', {
+    this.textureDetailText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: this.DETAIL_FONT_SIZE,
+    });
+    this.errorText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: this.FONT_SIZE,
+    });
+    this.lastErrorText = new BitmapText('', {
       fontName: 'MonospaceBold',
       fontSize: this.FONT_SIZE,
     });
+    this.assetText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: this.FONT_SIZE,
+    });
+    this.loadDetailText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: this.DETAIL_FONT_SIZE,
+      maxWidth: this.WIDTH - 2 * this.PADDING,
+    });
+
+    Localization.bind(this.errorText, 'debug.errors', { count: 0 });
 
     this.fpsText.tint = Colors.DEBUG_GREEN;
     this.spriteText.tint = Colors.DEBUG_YELLOW;
+    this.timeText.tint = Colors.WHITE;
+    this.seedText.tint = Colors.WHITE;
+    this.textureText.tint = Colors.WHITE;
+    this.textureDetailText.tint = Colors.WHITE;
+    this.errorText.tint = Colors.DEBUG_GREEN;
+    this.lastErrorText.tint = Colors.RED;
+    this.assetText.tint = Colors.WHITE;
+    this.loadDetailText.tint = Colors.RED;
 
     this.container.addChild(this.fpsText);
     this.container.addChild(this.spriteText);
+    this.container.addChild(this.timeText);
+    this.container.addChild(this.seedText);
+    this.container.addChild(this.textureText);
+    this.container.addChild(this.textureDetailText);
+    this.container.addChild(this.errorText);
+    this.container.addChild(this.lastErrorText);
+    this.container.addChild(this.assetText);
+    this.container.addChild(this.loadDetailText);
+  }
+
+  private setupButtons(): void {
+    this.addButton('debug.newSeed', () => {
+      this.events.emit('seedChangeRequested', { seed: RandomService.generateSeed() });
+    });
+    this.addButton('debug.setSeed', () => {
+      this.promptSeed();
+    });
+    this.addButton('debug.resetSave', () => {
+      this.events.emit('savedStateResetRequested');
+    });
+    this.texturePageText = this.addButton('debug.texturePage', () => {
+      this.texturePage = (this.texturePage + 1) % this.texturePages;
+      this.updateTexturePageLabel();
+    });
+    this.updateTexturePageLabel();
+    this.languageText = this.addButton('debug.language', () => {
+      this.events.emit('localeCycleRequested');
+    });
+    this.updateLanguageLabel();
+    this.container.addChild(this.buttonRow);
+  }
+
+  private addButton(labelKey: string, onClick: () => void): BitmapText {
+    const button = new Container();
+
+    const buttonBg = new Graphics();
+    buttonBg.beginFill(Colors.DARK_GRAY);
+    buttonBg.lineStyle(1, Colors.DEBUG_GREEN);
+    buttonBg.drawRoundedRect(0, 0, this.BUTTON_WIDTH, this.BUTTON_HEIGHT, 3);
+    buttonBg.endFill();
+
+    const buttonText = new BitmapText('', { fontName: 'MonospaceBold', fontSize: 12 });
+    buttonText.tint = Colors.DEBUG_GREEN;
+    this.setButtonLabel(buttonText, labelKey);
+
+    button.addChild(buttonBg);
+    button.addChild(buttonText);
+    button.eventMode = 'static';
+    button.cursor = 'pointer';
+    button.on('pointertap', onClick);
+    button.on('pointerover', () => {
+      buttonBg.tint = 0xcccccc;
+    });
+    button.on('pointerout', () => {
+      buttonBg.tint = 0xffffff;
+    });
+
+    const index = this.buttonRow.children.length;
+    button.position.set(
+      (index % this.BUTTONS_PER_ROW) * (this.BUTTON_WIDTH + this.BUTTON_SPACING),
+      Math.floor(index / this.BUTTONS_PER_ROW) * (this.BUTTON_HEIGHT + this.BUTTON_SPACING)
+    );
+    this.buttonRow.addChild(button);
+    return buttonText;
+  }
+
+  private setButtonLabel(text: BitmapText, labelKey: string, params: TranslationParams = {}): void {
+    Localization.bind(text, labelKey, params, label => {
+      label.position.set(
+        (this.BUTTON_WIDTH - label.width) / 2,
+        (this.BUTTON_HEIGHT - label.height) / 2
+      );
+    });
+  }
+
+  /** Takes a seed from a bug report; numbers and text are read like the #seed= URL parameter. */
+  private promptSeed(): void {
+    const value = window.prompt(Localization.t('debug.seedPrompt'), this.seed.toString());
+    if (value !== null && value.trim() !== '') {
+      this.events.emit('seedChangeRequested', { seed: RandomService.parseSeed(value) });
+    }
+  }
+
+  private updateLanguageLabel(): void {
+    this.setButtonLabel(this.languageText, 'debug.language', {
+      locale: Localization.getLocale().toUpperCase(),
+    });
+  }
+
+  private updateTexturePageLabel(): void {
+    this.setButtonLabel(this.texturePageText, 'debug.texturePage', {
+      page: this.texturePage + 1,
+      pages: this.texturePages,
+    });
   }
 
   private setupLayout(): void {
-    this.container.position.set(this.POS_X, this.POS_Y);
-    this.fpsText.position.set(this.PADDING, this.PADDING);
-    this.spriteText.position.set(this.PADDING, this.PADDING + 2 * this.LINE_HEIGHT);
+    let y = this.PADDING;
+    for (const [text, height] of this.getRows()) {
+      text.position.set(this.PADDING, y);
+      y += height;
+    }
+    this.buttonRow.position.set(this.PADDING, y + this.PADDING);
+  }
+
+  /** The texts from top to bottom with the height each one reserves. */
+  private getRows(): [BitmapText, number][] {
+    return [
+      [this.fpsText, this.LINE_HEIGHT],
+      [this.timeText, this.LINE_HEIGHT],
+      [this.spriteText, this.LINE_HEIGHT],
+      [this.seedText, this.LINE_HEIGHT],
+      [this.textureText, this.LINE_HEIGHT],
+      [this.textureDetailText, this.TEXTURE_DETAIL_LINES * this.DETAIL_LINE_HEIGHT],
+      [this.errorText, this.LINE_HEIGHT],
+      [this.lastErrorText, this.LINE_HEIGHT],
+      [this.assetText, this.LINE_HEIGHT],
+      [this.loadDetailText, this.LOAD_DETAIL_LINES * this.DETAIL_LINE_HEIGHT],
+    ];
+  }
+
+  private getTextHeight(): number {
+    return this.getRows().reduce((sum, [, height]) => sum + height, 0);
   }
 
   updateDebugInfo(debugInfo: DebugInfo): void {
-    this.fpsText.text = `FPS: ${debugInfo.fps.toString()}`;
-    this.spriteText.text = `Sprites: ${debugInfo.spriteCount.toString()}`;
+    // Redrawn every frame, so these follow locale changes without being bound
+    this.fpsText.text = Localization.t('debug.fps', { fps: debugInfo.fps });
+    this.spriteText.text = Localization.t('debug.sprites', { count: debugInfo.spriteCount });
+    this.seed = debugInfo.seed;
+    this.seedText.text = Localization.t('debug.seed', { seed: debugInfo.seed });
+    this.textureText.text = Localization.t('debug.textures', {
+      size: formatBytes(debugInfo.textureBytes),
+    });
+    this.textureDetailText.text = this.formatTextureBundles(debugInfo.textureBundles);
+
+    if (debugInfo.paused) {
+      this.timeText.text = Localization.t('debug.paused', {
+        reasons: debugInfo.pauseReasons.join(', '),
+      });
+      this.timeText.tint = Colors.RED;
+    } else {
+      this.timeText.text = Localization.t('debug.time', { scale: debugInfo.timeScale.toFixed(2) });
+      this.timeText.tint = Colors.WHITE;
+    }
 
     // Update FPS color based on performance
     if (debugInfo.fps >= 55) {
@@ -70,6 +320,97 @@ export class DebugMenu {
     }
   }
 
+  /**
+   * One page of the loaded bundles, largest first, with their texture counts and the number of
+   * scenes using each. The texture button steps through the pages.
+   */
+  private formatTextureBundles(bundles: readonly TextureReportEntry[]): string {
+    const pages = Math.max(1, Math.ceil(bundles.length / this.TEXTURE_DETAIL_LINES));
+    if (pages !== this.texturePages) {
+      this.texturePages = pages;
+      this.texturePage = Math.min(this.texturePage, pages - 1);
+      this.updateTexturePageLabel();
+    }
+    const start = this.texturePage * this.TEXTURE_DETAIL_LINES;
+    return [...bundles]
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(start, start + this.TEXTURE_DETAIL_LINES)
+      .map(entry =>
+        Localization.t('debug.textureBundle', {
+          bundle: this.truncate(entry.bundle, this.MAX_BUNDLE_CHARS),
+          size: formatBytes(entry.bytes),
+          textures: entry.textures,
+          refs: entry.refs,
+        })
+      )
+      .join('\n');
+  }
+
+  /** Shows the error count and the latest error; the full message goes to the console. */
+  logError(message: string): void {
+    this.errorCount++;
+    Localization.bind(this.errorText, 'debug.errors', { count: this.errorCount });
+    this.errorText.tint = Colors.RED;
+    this.lastErrorText.text = this.truncate(message);
+  }
+
+  /**
+   * Shows how the last content load went: the failed names per kind, then the data issue
+   * count. Names that do not fit are counted as +N; the reasons go to the console.
+   */
+  showLoadReport(report: LoadReport): void {
+    this.lastReport = report;
+    const failed = report.failures.length;
+    Localization.bind(this.assetText, 'debug.assets', { loaded: report.loaded, failed });
+    this.assetText.tint = failed > 0 ? Colors.RED : Colors.DEBUG_GREEN;
+    this.loadDetailText.tint = failed > 0 ? Colors.RED : Colors.DEBUG_YELLOW;
+
+    const groups = this.groupFailures(report.failures);
+    const render = (): string => {
+      const lines = groups.map(({ kind, names, hidden }) => {
+        const more = hidden > 0 ? ` +${hidden.toString()}` : '';
+        const label = Localization.t('debug.failedKind', { kind, count: names.length + hidden });
+        return `${label} ${names.join(', ')}${more}`;
+      });
+      if (report.issues.length > 0) {
+        lines.push(Localization.t('debug.dataIssues', { count: report.issues.length }));
+      }
+      return lines.join('\n');
+    };
+
+    this.loadDetailText.text = render();
+    const maxHeight = this.LOAD_DETAIL_LINES * this.DETAIL_LINE_HEIGHT;
+    while (this.loadDetailText.height > maxHeight) {
+      const longest = groups.reduce<FailureGroup | null>(
+        (best, group) => (group.names.length > (best?.names.length ?? 0) ? group : best),
+        null
+      );
+      if (!longest) {
+        break;
+      }
+      longest.names.pop();
+      longest.hidden++;
+      this.loadDetailText.text = render();
+    }
+  }
+
+  private groupFailures(failures: readonly LoadFailure[]): FailureGroup[] {
+    const groups = new Map<string, FailureGroup>();
+    for (const { kind, name } of failures) {
+      let group = groups.get(kind);
+      if (!group) {
+        group = { kind, names: [], hidden: 0 };
+        groups.set(kind, group);
+      }
+      group.names.push(name);
+    }
+    return [...groups.values()];
+  }
+
+  private truncate(message: string, maxChars = this.MAX_ERROR_CHARS): string {
+    return message.length > maxChars ? `${message.slice(0, maxChars - 2)}..` : message;
+  }
+
   setVisible(visible: boolean): void {
     this.container.visible = visible;
   }
@@ -186,6 +186,19 @@ export class DialogueComponent extends Container {
     return false;
   }
 
+  /** Jumps straight to an entry; out-of-range indices are clamped. */
+  public setDialogueIndex(index: number): void {
+    const lastIndex = Math.max(0, this.dialogueEntries.length - 1);
+    this.currentDialogueIndex = Math.max(0, Math.min(lastIndex, Math.floor(index)));
+    this.displayCurrentDialogue();
+  }
+
+  /** Replaces the lines, e.g. with a translation, and redraws the current one. */
+  public setDialogueEntries(dialogueEntries: DialogueEntry[]): void {
+    this.dialogueEntries = dialogueEntries;
+    this.setDialogueIndex(this.currentDialogueIndex);
+  }
+
   public getCurrentDialogueIndex(): number {
     return this.currentDialogueIndex;
   }
@@ -7,11 +7,26 @@
 /* eslint-disable @typescript-eslint/restrict-template-expressions */
 import { Container, Sprite } from 'pixi.js';
 import { AssetLoader } from '../utils/AssetLoader';
+import { RandomStream } from '../utils/Random';
+
+/**
+ * One stream per kind of roll, so a change in how often one of them is drawn from (e.g. more
+ * particles alive per step) does not shift the others.
+ */
+export interface FireMetaBallRandom {
+  /** Per-step drift of live particles. */
+  particles: RandomStream;
+  /** Position, velocity, lifetime and texture of new particles. */
+  spawn: RandomStream;
+  /** Texture choice for merged groups. */
+  merge: RandomStream;
+}
 
 interface FireMetaBallOptions {
   max: number;
   width: number;
   height: number;
+  random: FireMetaBallRandom;
   singlesCount?: number;
   twoParticleCount?: number;
   threeParticleCount?: number;
@@ -28,6 +43,9 @@ class FireMetaBallParticle {
   public readonly id: number;
   public x: number;
   public y: number;
+  // Position at the start of the last step, for interpolating between fixed steps
+  public prevX: number;
+  public prevY: number;
   public vx: number;
   public vy: number;
   public life: number;
@@ -35,19 +53,25 @@ class FireMetaBallParticle {
   public active: boolean;
   public merged: boolean;
 
-  constructor(x: number, y: number) {
+  private readonly drift: RandomStream;
+
+  /** Initial motion is rolled from spawn; the per-step drift is drawn from drift. */
+  constructor(x: number, y: number, spawn: RandomStream, drift: RandomStream) {
+    this.drift = drift;
     this.id = FireMetaBallParticle.nextId++;
     this.x = x;
     this.y = y;
+    this.prevX = x;
+    this.prevY = y;
     this.active = true;
     this.merged = false;
 
-    const angle = ((270 + (Math.random() - 0.5) * 30) * Math.PI) / 180;
-    const speed = 50 + Math.random() * 50;
+    const angle = ((270 + (spawn.next() - 0.5) * 30) * Math.PI) / 180;
+    const speed = 50 + spawn.next() * 50;
     this.vx = Math.cos(angle) * speed;
     this.vy = Math.sin(angle) * speed;
 
-    this.maxLife = 2.0 + Math.random() * 2.0;
+    this.maxLife = 2.0 + spawn.next() * 2.0;
     this.life = this.maxLife;
   }
 
@@ -56,12 +80,15 @@ class FireMetaBallParticle {
       return;
     }
 
+    this.prevX = this.x;
+    this.prevY = this.y;
+
     this.x += this.vx * dt;
     this.y += this.vy * dt;
 
     this.vy -= 20 * dt;
-    this.vx += (Math.random() - 0.5) * 10 * dt;
-    this.vy += (Math.random() - 0.5) * 5 * dt;
+    this.vx += (this.drift.next() - 0.5) * 10 * dt;
+    this.vy += (this.drift.next() - 0.5) * 5 * dt;
 
     this.vx *= 0.995;
     this.vy *= 0.995;
@@ -72,6 +99,14 @@ class FireMetaBallParticle {
     }
   }
 
+  public lerpX(alpha: number): number {
+    return this.prevX + (this.x - this.prevX) * alpha;
+  }
+
+  public lerpY(alpha: number): number {
+    return this.prevY + (this.y - this.prevY) * alpha;
+  }
+
   public getAlpha(): number {
     if (!this.active) {
       return 0;
@@ -93,6 +128,7 @@ export class FireMetaBallSystem extends Container {
   private readonly emitterHeight: number;
 
   private readonly baseMergeDistance: number;
+  private readonly random: FireMetaBallRandom;
 
   private spawnTimer: number;
   private spawnInterval: number;
@@ -106,13 +142,21 @@ export class FireMetaBallSystem extends Container {
     this.maxSprites = opts.max;
     this.emitterWidth = opts.width;
     this.emitterHeight = opts.height;
+    this.random = opts.random;
 
     this.baseMergeDistance = opts.mergeDistance ?? 5;
     this.spawnInterval = opts.spawnInterval ?? 0.15;
     this.spawnTimer = 0;
   }
 
+  /** Variable-rate convenience: one simulation step followed by an uninterpolated render. */
   public update(dt: number): void {
+    this.fixedUpdate(dt);
+    this.syncVisuals(1);
+  }
+
+  /** Advances the simulation by dt seconds. Call at a fixed rate for refresh-rate independence. */
+  public fixedUpdate(dt: number): void {
     this.spawnTimer += dt;
 
     for (const p of this.particles) {
@@ -125,9 +169,12 @@ export class FireMetaBallSystem extends Container {
     this.reconcileVisuals(clusters);
 
     this.maybeSpawn();
+  }
 
-    this.updateSingleSprites();
-    this.updateGroupSprites();
+  /** Syncs sprites to the simulation, interpolating alpha of the way into the next step. */
+  public syncVisuals(alpha: number): void {
+    this.updateSingleSprites(alpha);
+    this.updateGroupSprites(alpha);
   }
 
   private scaleAtY(y: number): number {
@@ -150,26 +197,26 @@ export class FireMetaBallSystem extends Container {
   }
 
   private spawnOne(): void {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = Math.random() * 30;
+    const angle = this.random.spawn.next() * Math.PI * 2;
+    const radius = this.random.spawn.next() * 30;
     const x = this.emitterWidth / 2 + Math.cos(angle) * radius;
 
-    const baseBias = Math.random() * 0.5;
+    const baseBias = this.random.spawn.next() * 0.5;
     const verticalOffset = baseBias * baseBias * 15;
     const y = this.emitterHeight - 10 - verticalOffset + Math.sin(angle) * radius * 0.3;
 
-    const p = new FireMetaBallParticle(x, y);
+    const p = new FireMetaBallParticle(x, y, this.random.spawn, this.random.particles);
     this.particles.push(p);
 
     const sizes = ['xs', 's', 'm', 'l', 'xl', 'xxl'];
-    const size = sizes[Math.floor(Math.random() * sizes.length)];
-    const variation = 1 + Math.floor(Math.random() * 6);
+    const size = sizes[Math.floor(this.random.spawn.next() * sizes.length)];
+    const variation = 1 + Math.floor(this.random.spawn.next() * 6);
     const texture = AssetLoader.getTexture(`single_${size}_${variation}`);
     const sprite = new Sprite(texture);
     sprite.anchor.set(0.5);
     sprite.x = p.x;
     sprite.y = p.y;
-    sprite.rotation = Math.random() * Math.PI * 2;
+    sprite.rotation = this.random.spawn.next() * Math.PI * 2;
 
     this.singleSprites.set(p, sprite);
     this.addChild(sprite);
@@ -405,27 +452,28 @@ export class FireMetaBallSystem extends Container {
     return ids.join(',');
   }
 
-  private updateSingleSprites(): void {
+  private updateSingleSprites(alpha: number): void {
     for (const [p, s] of this.singleSprites) {
       if (!p.active || p.merged) {
         continue;
       }
-      s.x = p.x;
-      s.y = p.y;
+      const y = p.lerpY(alpha);
+      s.x = p.lerpX(alpha);
+      s.y = y;
       s.alpha = p.getAlpha();
       s.blendMode = 1;
 
       const progress = (1 - p.life / p.maxLife) ** 2;
       const baseScale = Math.max(0.1, 4 - progress * 3.8);
 
-      const heightProgress = p.y / this.emitterHeight;
+      const heightProgress = y / this.emitterHeight;
       const horizontalScale = 0.3 + heightProgress * 0.7;
 
       s.scale.set(baseScale * horizontalScale, baseScale);
     }
   }
 
-  private updateGroupSprites(): void {
+  private updateGroupSprites(alpha: number): void {
     for (const grp of this.groups.values()) {
       let anchor = grp.anchor;
       if (!anchor.active) {
@@ -449,15 +497,16 @@ export class FireMetaBallSystem extends Container {
         continue;
       }
 
-      grp.sprite.x = anchor.x;
-      grp.sprite.y = anchor.y;
+      const anchorY = anchor.lerpY(alpha);
+      grp.sprite.x = anchor.lerpX(alpha);
+      grp.sprite.y = anchorY;
       grp.sprite.alpha = sa / n;
       grp.sprite.blendMode = 1;
 
-      const progress = Math.max(0, (this.emitterHeight - anchor.y) / this.emitterHeight);
+      const progress = Math.max(0, (this.emitterHeight - anchorY) / this.emitterHeight);
       const baseScale = Math.max(0.2, 4.2 - progress * 4);
 
-      const heightProgress = anchor.y / this.emitterHeight;
+      const heightProgress = anchorY / this.emitterHeight;
       const horizontalScale = 0.3 + heightProgress * 0.7;
 
       grp.sprite.scale.set(baseScale * horizontalScale, baseScale);
@@ -469,8 +518,8 @@ export class FireMetaBallSystem extends Container {
 
     const pickSingle = (): string => {
       const sizes = ['xs', 's', 'm', 'l', 'xl', 'xxl'];
-      const size = sizes[Math.floor(Math.random() * sizes.length)];
-      const variation = 1 + Math.floor(Math.random() * 6);
+      const size = sizes[Math.floor(this.random.merge.next() * sizes.length)];
+      const variation = 1 + Math.floor(this.random.merge.next() * 6);
       return `single_${size}_${variation}`;
     };
 
@@ -500,23 +549,23 @@ export class FireMetaBallSystem extends Container {
         const normalizedAngle = (angle + 360) % 360;
 
         if (normalizedAngle >= 315 || normalizedAngle < 45) {
-          configType = Math.random() < 0.7 ? 'a2_30' : 'a2_150';
+          configType = this.random.merge.next() < 0.7 ? 'a2_30' : 'a2_150';
         } else if (normalizedAngle >= 45 && normalizedAngle < 135) {
-          configType = Math.random() < 0.5 ? 'd2_ne' : 'd2_se';
+          configType = this.random.merge.next() < 0.5 ? 'd2_ne' : 'd2_se';
         } else if (normalizedAngle >= 135 && normalizedAngle < 225) {
-          configType = Math.random() < 0.7 ? 'a2_60' : 'a2_120';
+          configType = this.random.merge.next() < 0.7 ? 'a2_60' : 'a2_120';
         } else {
-          configType = Math.random() < 0.5 ? 'd2_nw' : 'd2_sw';
+          configType = this.random.merge.next() < 0.5 ? 'd2_nw' : 'd2_sw';
         }
 
         if (distance < 8) {
-          configType = Math.random() < 0.6 ? 'o2_heavy' : 'o2_slight';
+          configType = this.random.merge.next() < 0.6 ? 'o2_heavy' : 'o2_slight';
         } else if (distance < 12) {
-          configType = Math.random() < 0.3 ? 'o2_slight' : configType;
+          configType = this.random.merge.next() < 0.3 ? 'o2_slight' : configType;
         }
       }
 
-      const variation = 1 + Math.floor(Math.random() * 4);
+      const variation = 1 + Math.floor(this.random.merge.next() * 4);
       return `merge_${configType}_${variation}`;
     }
 
@@ -546,8 +595,8 @@ export class FireMetaBallSystem extends Container {
         'v3_right',
       ];
 
-      const configType = configs[Math.floor(Math.random() * configs.length)];
-      const variation = 1 + Math.floor(Math.random() * 4);
+      const configType = configs[Math.floor(this.random.merge.next() * configs.length)];
+      const variation = 1 + Math.floor(this.random.merge.next() * 4);
       return `merge_${configType}_${variation}`;
     }
 
@@ -569,33 +618,33 @@ export class FireMetaBallSystem extends Container {
         't4_right',
       ];
 
-      const configType = configs[Math.floor(Math.random() * configs.length)];
-      const variation = 1 + Math.floor(Math.random() * 4);
+      const configType = configs[Math.floor(this.random.merge.next() * configs.length)];
+      const variation = 1 + Math.floor(this.random.merge.next() * 4);
       return `merge_${configType}_${variation}`;
     }
 
     if (count === 5) {
       const configs = ['cluster5', 'star5', 'x5'];
-      const configType = configs[Math.floor(Math.random() * configs.length)];
-      const variation = 1 + Math.floor(Math.random() * 4);
+      const configType = configs[Math.floor(this.random.merge.next() * configs.length)];
+      const variation = 1 + Math.floor(this.random.merge.next() * 4);
       return `merge_${configType}_${variation}`;
     }
 
     if (count === 6) {
       const configs = ['hex6', 'flower6', 'grid6'];
-      const configType = configs[Math.floor(Math.random() * configs.length)];
-      const variation = 1 + Math.floor(Math.random() * 4);
+      const configType = configs[Math.floor(this.random.merge.next() * configs.length)];
+      const variation = 1 + Math.floor(this.random.merge.next() * 4);
       return `merge_${configType}_${variation}`;
     }
 
     if (count >= 7) {
       const configs = ['circle7', 'burst8'];
-      const configType = configs[Math.floor(Math.random() * configs.length)];
-      const variation = 1 + Math.floor(Math.random() * 4);
+      const configType = configs[Math.floor(this.random.merge.next() * configs.length)];
+      const variation = 1 + Math.floor(this.random.merge.next() * 4);
       return `merge_${configType}_${variation}`;
     }
 
-    if (Math.random() < 0.3) {
+    if (this.random.merge.next() < 0.3) {
       const scatterConfigs = [
         'scatter3',
         'scatter4',
@@ -606,12 +655,13 @@ export class FireMetaBallSystem extends Container {
         'scatter9',
         'scatter10',
       ];
-      const configType = scatterConfigs[Math.floor(Math.random() * scatterConfigs.length)];
-      const variation = 1 + Math.floor(Math.random() * 5);
+      const configType =
+        scatterConfigs[Math.floor(this.random.merge.next() * scatterConfigs.length)];
+      const variation = 1 + Math.floor(this.random.merge.next() * 5);
       return `${configType}_${variation}`;
     }
 
-    if (Math.random() < 0.2) {
+    if (this.random.merge.next() < 0.2) {
       const asymConfigs = [
         'tear_up',
         'tear_down',
@@ -629,8 +679,8 @@ export class FireMetaBallSystem extends Container {
         'wave_v',
         'wave_s',
       ];
-      const configType = asymConfigs[Math.floor(Math.random() * asymConfigs.length)];
-      const variation = 1 + Math.floor(Math.random() * 3);
+      const configType = asymConfigs[Math.floor(this.random.merge.next() * asymConfigs.length)];
+      const variation = 1 + Math.floor(this.random.merge.next() * 3);
       return `asym_${configType}_${variation}`;
     }
 
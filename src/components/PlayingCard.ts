@@ -72,8 +72,6 @@ export class PlayingCard extends Sprite {
 
     this.cardNumber = cardNumber;
     this.anchor.set(0.5);
-
-    this.scale.set(0.15);
   }
 
   setStackPosition(stackIndex: number, positionInStack: number): void {
@@ -1,37 +1,36 @@
 import { Container, Graphics, BitmapText } from 'pixi.js';
 import { Colors } from '../utils/Colors';
-import { GameManager } from '../GameManager';
-import { PhoenixFlameScene } from '../scenes/PhoenixFlameScene';
-import { AceOfShadowsScene } from '../scenes/AceOfShadowsScene';
-import { MagicWordsScene } from '../scenes/MagicWordsScene';
+import { SceneRegistry } from '../scenes/SceneRegistry';
+import { GameEvents } from '../types';
+import { EventBus } from '../utils/EventBus';
+import { Localization } from '../utils/Localization';
 
 export class SceneControls {
   public container: Container;
-  private gameManager: GameManager;
+  private events: EventBus<GameEvents>;
   private background: Graphics;
   private currentSceneText!: BitmapText;
+  private debugToggleText!: BitmapText;
   private fullscreenButton: Container;
   private debugToggleButton: Container;
-  private phoenixFlameButton: Container;
-  private aceOfShadowsButton: Container;
-  private magicWordsButton: Container;
-
-  private readonly POS_Y = 140;
-  private readonly POS_X = 10;
+  private pauseMenuButton: Container;
+  private sceneButtons = new Map<string, Container>();
+  private currentScene: { sceneId: string | null; sceneName: string } | null = null;
 
   private readonly PADDING_X = 10;
   private readonly BUTTON_WIDTH = 100;
   private readonly BUTTON_HEIGHT = 30;
+  private readonly BUTTON_SPACING = 5;
+  private readonly BUTTONS_PER_ROW = 3;
+  private readonly ROW_HEIGHT = 50;
 
-  constructor(gameManager: GameManager) {
-    this.gameManager = gameManager;
+  constructor(events: EventBus<GameEvents>) {
+    this.events = events;
     this.container = new Container();
     this.background = new Graphics();
     this.fullscreenButton = new Container();
     this.debugToggleButton = new Container();
-    this.phoenixFlameButton = new Container();
-    this.aceOfShadowsButton = new Container();
-    this.magicWordsButton = new Container();
+    this.pauseMenuButton = new Container();
   }
 
   init(): void {
@@ -40,19 +39,42 @@ export class SceneControls {
     this.setupSceneButtons();
     this.setupFullscreenButton();
     this.setupDebugToggleButton();
+    this.setupPauseMenuButton();
     this.setupLayout();
+
+    this.events.on('sceneChanged', ({ sceneId, sceneName }) => {
+      this.updateCurrentScene(sceneName, sceneId);
+    });
+    // The scene title is itself translated, so the bound text alone would keep the old one
+    this.events.on('localeChanged', () => {
+      if (this.currentScene) {
+        this.updateCurrentScene(this.currentScene.sceneName, this.currentScene.sceneId);
+      }
+    });
+    this.events.on('debugToggled', ({ enabled }) => {
+      this.updateDebugToggleText(enabled);
+    });
+    this.events.on('sceneAvailabilityChanged', ({ sceneId, available }) => {
+      this.setSceneButtonEnabled(sceneId, available);
+    });
   }
 
   private setupBackground(): void {
     this.background.beginFill(0x000000, 0.7);
     this.background.lineStyle(1, Colors.BLUE, 1);
-    this.background.drawRoundedRect(0, 0, 340, 160, 5);
+    this.background.drawRoundedRect(
+      0,
+      0,
+      340,
+      40 + this.getSceneRowCount() * this.ROW_HEIGHT + 70,
+      5
+    );
     this.background.endFill();
     this.container.addChild(this.background);
   }
 
   private setupCurrentSceneText(): void {
-    this.currentSceneText = new BitmapText('Current: Demo', {
+    this.currentSceneText = new BitmapText('', {
       fontName: 'MonospaceBold',
       fontSize: 16,
     });
@@ -61,37 +83,36 @@ export class SceneControls {
     this.container.addChild(this.currentSceneText);
   }
 
-  private setupSceneButtons(): void {
-    this.createSceneButton(this.aceOfShadowsButton, 'Ace of Shadows', () => {
-      this.gameManager.switchToScene(new AceOfShadowsScene());
-    });
-
-    this.createSceneButton(this.magicWordsButton, 'Magic Words', () => {
-      this.gameManager.switchToScene(new MagicWordsScene());
-    });
-
-    this.createSceneButton(this.phoenixFlameButton, 'Phoenix Flame', () => {
-      this.gameManager.switchToScene(new PhoenixFlameScene());
-    });
+  private getSceneRowCount(): number {
+    return Math.max(1, Math.ceil(SceneRegistry.getAll().length / this.BUTTONS_PER_ROW));
+  }
 
-    this.container.addChild(this.phoenixFlameButton);
-    this.container.addChild(this.aceOfShadowsButton);
-    this.container.addChild(this.magicWordsButton);
+  private setupSceneButtons(): void {
+    for (const definition of SceneRegistry.getAll()) {
+      const button = new Container();
+      this.createSceneButton(button, `scene.${definition.id}`, () => {
+        this.events.emit('sceneRequested', { sceneId: definition.id });
+      });
+
+      this.sceneButtons.set(definition.id, button);
+      this.container.addChild(button);
+    }
   }
 
-  private createSceneButton(buttonContainer: Container, text: string, onClick: () => void): void {
+  private createSceneButton(
+    buttonContainer: Container,
+    labelKey: string,
+    onClick: () => void
+  ): void {
     const buttonBg = new Graphics();
     buttonBg.beginFill(Colors.DARK_GRAY);
     buttonBg.lineStyle(1, Colors.YELLOW);
     buttonBg.drawRoundedRect(0, 0, this.BUTTON_WIDTH, this.BUTTON_HEIGHT, 3);
     buttonBg.endFill();
 
-    const buttonText = new BitmapText(text, { fontName: 'MonospaceBold', fontSize: 12 });
+    const buttonText = new BitmapText('', { fontName: 'MonospaceBold', fontSize: 12 });
     buttonText.tint = Colors.YELLOW;
-    buttonText.position.set(
-      (this.BUTTON_WIDTH - buttonText.width) / 2,
-      (this.BUTTON_HEIGHT - buttonText.height) / 2
-    );
+    Localization.bind(buttonText, labelKey, {}, this.centerLabel);
 
     buttonContainer.addChild(buttonBg);
     buttonContainer.addChild(buttonText);
@@ -99,8 +120,7 @@ export class SceneControls {
     buttonContainer.eventMode = 'static';
     buttonContainer.cursor = 'pointer';
 
-    buttonContainer.on('pointerdown', onClick);
-    buttonContainer.on('click', onClick);
+    buttonContainer.on('pointertap', onClick);
 
     buttonContainer.on('pointerover', () => {
       buttonBg.tint = 0xcccccc;
@@ -126,12 +146,9 @@ export class SceneControls {
     buttonBg.drawRoundedRect(0, 0, this.BUTTON_WIDTH, this.BUTTON_HEIGHT, 3);
     buttonBg.endFill();
 
-    const buttonText = new BitmapText('Fullscreen', { fontName: 'MonospaceBold', fontSize: 14 });
+    const buttonText = new BitmapText('', { fontName: 'MonospaceBold', fontSize: 14 });
     buttonText.tint = Colors.WHITE;
-    buttonText.position.set(
-      (this.BUTTON_WIDTH - buttonText.width) / 2,
-      (this.BUTTON_HEIGHT - buttonText.height) / 2
-    );
+    Localization.bind(buttonText, 'controls.fullscreen', {}, this.centerLabel);
 
     this.fullscreenButton.addChild(buttonBg);
     this.fullscreenButton.addChild(buttonText);
@@ -140,11 +157,10 @@ export class SceneControls {
     this.fullscreenButton.cursor = 'pointer';
 
     const fullscreenHandler = () => {
-      this.gameManager.toggleFullscreen();
+      this.events.emit('fullscreenRequested');
     };
 
-    this.fullscreenButton.on('pointerdown', fullscreenHandler);
-    this.fullscreenButton.on('click', fullscreenHandler);
+    this.fullscreenButton.on('pointertap', fullscreenHandler);
 
     this.fullscreenButton.on('pointerover', () => {
       buttonBg.tint = 0xcccccc;
@@ -172,32 +188,20 @@ export class SceneControls {
     buttonBg.drawRoundedRect(0, 0, this.BUTTON_WIDTH, this.BUTTON_HEIGHT, 3);
     buttonBg.endFill();
 
-    const buttonText = new BitmapText('Debug: ON', { fontName: 'MonospaceBold', fontSize: 14 });
-    buttonText.tint = Colors.DEBUG_GREEN;
-    buttonText.position.set(
-      (this.BUTTON_WIDTH - buttonText.width) / 2,
-      (this.BUTTON_HEIGHT - buttonText.height) / 2
-    );
+    this.debugToggleText = new BitmapText('', { fontName: 'MonospaceBold', fontSize: 14 });
+    this.updateDebugToggleText(true);
 
     this.debugToggleButton.addChild(buttonBg);
-    this.debugToggleButton.addChild(buttonText);
+    this.debugToggleButton.addChild(this.debugToggleText);
 
     this.debugToggleButton.eventMode = 'static';
     this.debugToggleButton.cursor = 'pointer';
 
     const debugToggleHandler = () => {
-      this.gameManager.toggleDebugMode();
-      const newText = this.gameManager.debugMode ? 'Debug: ON' : 'Debug: OFF';
-      buttonText.text = newText;
-      buttonText.tint = this.gameManager.debugMode ? Colors.DEBUG_GREEN : Colors.RED;
-      buttonText.position.set(
-        (this.BUTTON_WIDTH - buttonText.width) / 2,
-        (this.BUTTON_HEIGHT - buttonText.height) / 2
-      );
+      this.events.emit('debugToggleRequested');
     };
 
-    this.debugToggleButton.on('pointerdown', debugToggleHandler);
-    this.debugToggleButton.on('click', debugToggleHandler);
+    this.debugToggleButton.on('pointertap', debugToggleHandler);
 
     this.debugToggleButton.on('pointerover', () => {
       buttonBg.tint = 0xcccccc;
@@ -218,19 +222,60 @@ export class SceneControls {
     this.container.addChild(this.debugToggleButton);
   }
 
+  private setupPauseMenuButton(): void {
+    this.createSceneButton(this.pauseMenuButton, 'controls.pause', () => {
+      this.events.emit('pauseMenuRequested');
+    });
+    this.container.addChild(this.pauseMenuButton);
+  }
+
   private setupLayout(): void {
-    this.container.position.set(this.POS_X, this.POS_Y);
     this.currentSceneText.position.set(this.PADDING_X, 10);
 
-    this.aceOfShadowsButton.position.set(this.PADDING_X, 40);
-    this.magicWordsButton.position.set(this.PADDING_X + this.BUTTON_WIDTH + 5, 40);
-    this.phoenixFlameButton.position.set(this.PADDING_X + (this.BUTTON_WIDTH + 5) * 2, 40);
+    [...this.sceneButtons.values()].forEach((button, index) => {
+      const column = index % this.BUTTONS_PER_ROW;
+      const row = Math.floor(index / this.BUTTONS_PER_ROW);
+      button.position.set(
+        this.PADDING_X + (this.BUTTON_WIDTH + this.BUTTON_SPACING) * column,
+        40 + row * this.ROW_HEIGHT
+      );
+    });
+
+    const utilityRowY = 40 + this.getSceneRowCount() * this.ROW_HEIGHT;
+    this.fullscreenButton.position.set(this.PADDING_X, utilityRowY);
+    this.debugToggleButton.position.set(
+      this.PADDING_X + this.BUTTON_WIDTH + this.BUTTON_SPACING,
+      utilityRowY
+    );
+    this.pauseMenuButton.position.set(
+      this.PADDING_X + (this.BUTTON_WIDTH + this.BUTTON_SPACING) * 2,
+      utilityRowY
+    );
+  }
+
+  private readonly centerLabel = (text: BitmapText): void => {
+    text.position.set((this.BUTTON_WIDTH - text.width) / 2, (this.BUTTON_HEIGHT - text.height) / 2);
+  };
+
+  private updateDebugToggleText(enabled: boolean): void {
+    const key = enabled ? 'controls.debugOn' : 'controls.debugOff';
+    Localization.bind(this.debugToggleText, key, {}, this.centerLabel);
+    this.debugToggleText.tint = enabled ? Colors.DEBUG_GREEN : Colors.RED;
+  }
 
-    this.fullscreenButton.position.set(this.PADDING_X, 90);
-    this.debugToggleButton.position.set(this.PADDING_X + this.BUTTON_WIDTH + 5, 90);
+  private setSceneButtonEnabled(sceneId: string, enabled: boolean): void {
+    const button = this.sceneButtons.get(sceneId);
+    if (!button) {
+      return;
+    }
+    button.alpha = enabled ? 1 : 0.4;
+    button.eventMode = enabled ? 'static' : 'none';
   }
 
-  updateCurrentScene(sceneName: string): void {
-    this.currentSceneText.text = `Current: ${sceneName}`;
+  /** Shows the registered title of the scene; scenes opened without an id show their name. */
+  updateCurrentScene(sceneName: string, sceneId: string | null = null): void {
+    this.currentScene = { sceneId, sceneName };
+    const scene = sceneId ? Localization.t(`scene.${sceneId}`) : sceneName;
+    Localization.bind(this.currentSceneText, 'controls.current', { scene });
   }
 }
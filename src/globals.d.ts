@@ -0,0 +1,6 @@
+/** Set by webpack; true in development builds. */
+declare const __DEV__: boolean;
+/** Set by webpack; true only under the development server. */
+declare const __ASSET_HOT_RELOAD__: boolean;
+/** Set by webpack from HOST_ORIGINS; parent pages allowed to use the host bridge. */
+declare const __HOST_ORIGINS__: readonly string[];
@@ -1,43 +1,29 @@
-import '@pixi/events';
-import { Application } from 'pixi.js';
-import { GameManager } from './GameManager';
-import { GameConfig } from './types';
-import { Colors } from './utils/Colors';
-
-const gameConfig: GameConfig = {
-  width: 1024,
-  height: 768,
-  backgroundColor: Colors.BACKGROUND,
-  antialias: true,
-  resolution: window.devicePixelRatio || 1,
-};
+import { mountGame } from './mountGame';
+import { applyQueryOverrides } from './utils/ConfigOverrides';
 
 async function initGame(): Promise<void> {
-  try {
-    const app = new Application({
-      width: gameConfig.width,
-      height: gameConfig.height,
-      backgroundColor: gameConfig.backgroundColor,
-      antialias: gameConfig.antialias,
-      resolution: gameConfig.resolution,
-      autoDensity: true,
-    });
+  const gameContainer = document.getElementById('gameContainer');
 
-    const gameContainer = document.getElementById('gameContainer');
+  try {
     if (!gameContainer) {
       throw new Error('Game container element not found');
     }
 
-    gameContainer.appendChild(app.view as HTMLCanvasElement);
-
-    const gameManager = new GameManager(app, gameConfig);
-    await gameManager.init();
-
-    window.addEventListener('resize', () => {
-      gameManager.handleResize();
-    });
-
-    gameManager.handleResize();
+    // The standalone page owns the whole window, so it routes via the hash and reads all keys
+    await mountGame(
+      gameContainer,
+      applyQueryOverrides(
+        {
+          width: 1024,
+          height: 768,
+          hashRouting: true,
+          keyboardTarget: 'window',
+          // Configured at build time; the bridge stays off when there are none
+          allowedHostOrigins: __HOST_ORIGINS__,
+        },
+        window.location.search
+      )
+    );
   } catch (error) {
     console.error('Failed to initialize game:', error);
 
@@ -48,7 +34,6 @@ async function initGame(): Promise<void> {
     errorElement.style.margin = '50px';
     errorElement.textContent = `Game initialization failed: ${error instanceof Error ? error.message : String(error)}`;
 
-    const gameContainer = document.getElementById('gameContainer');
     if (gameContainer) {
       gameContainer.appendChild(errorElement);
     }
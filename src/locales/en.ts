@@ -0,0 +1,45 @@
+import { StringTable } from '../types';
+
+/** The reference table: every id used in the code must exist here. */
+export const en: StringTable = {
+  'locale.name': 'English',
+
+  'scene.ace-of-shadows': 'Ace of Shadows',
+  'scene.magic-words': 'Magic Words',
+  'scene.phoenix-flame': 'Phoenix Flame',
+
+  'controls.current': 'Current: {scene}',
+  'controls.fullscreen': 'Fullscreen',
+  'controls.debugOn': 'Debug: ON',
+  'controls.debugOff': 'Debug: OFF',
+  'controls.pause': 'Pause',
+
+  'loading.title': 'Loading {scene}...',
+  'pause.title': 'Paused',
+  'pause.resume': 'Resume',
+  'error.title': '{scene} stopped working',
+  'error.retry': 'Retry',
+  'error.dismiss': 'Dismiss',
+
+  'magicWords.continue': 'Tap or press Space to continue, Left to go back',
+  'magicWords.complete': 'All dialogues complete! Tap or press Space to restart.',
+  'magicWords.progress': 'Dialogue {current} / {total}',
+
+  'debug.fps': 'FPS: {fps}',
+  'debug.time': 'Time: x{scale}',
+  'debug.paused': 'PAUSED ({reasons})',
+  'debug.sprites': 'Sprites: {count}',
+  'debug.seed': 'Seed: {seed}',
+  'debug.textures': 'Tex: {size}',
+  'debug.textureBundle': '{bundle} {size} x{textures} refs:{refs}',
+  'debug.errors': { one: '{count} error', other: '{count} errors' },
+  'debug.assets': 'Assets: {loaded} ok {failed} bad',
+  'debug.failedKind': '{kind} x{count}:',
+  'debug.dataIssues': { one: '{count} data issue', other: '{count} data issues' },
+  'debug.newSeed': 'New seed',
+  'debug.setSeed': 'Set seed',
+  'debug.seedPrompt': 'Seed (a number or any text):',
+  'debug.resetSave': 'Reset save',
+  'debug.texturePage': 'Tex {page}/{pages}',
+  'debug.language': 'Lang: {locale}',
+};
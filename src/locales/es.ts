@@ -0,0 +1,49 @@
+import { StringTable } from '../types';
+
+export const es: StringTable = {
+  'locale.name': 'Español',
+
+  'scene.ace-of-shadows': 'As de Sombras',
+  'scene.magic-words': 'Conjuros',
+  'scene.phoenix-flame': 'Llama Fénix',
+
+  'controls.current': 'Actual: {scene}',
+  'controls.fullscreen': 'Expandir',
+  'controls.debugOn': 'Depurar: SÍ',
+  'controls.debugOff': 'Depurar: NO',
+  'controls.pause': 'Pausa',
+
+  'loading.title': 'Cargando {scene}...',
+  'pause.title': 'En pausa',
+  'pause.resume': 'Continuar',
+  'error.title': '{scene} dejó de funcionar',
+  'error.retry': 'Reintentar',
+  'error.dismiss': 'Cerrar',
+
+  'magicWords.continue': 'Toca o pulsa Espacio para seguir, Izquierda para volver',
+  'magicWords.complete': '¡Diálogos terminados! Toca o pulsa Espacio para empezar de nuevo.',
+  'magicWords.progress': 'Diálogo {current} / {total}',
+
+  'debug.fps': 'FPS: {fps}',
+  'debug.time': 'Tiempo: x{scale}',
+  'debug.paused': 'PAUSA ({reasons})',
+  'debug.sprites': 'Sprites: {count}',
+  'debug.seed': 'Semilla {seed}',
+  'debug.textures': 'Tex: {size}',
+  'debug.textureBundle': '{bundle} {size} x{textures} usos:{refs}',
+  // Spanish selects 'many' for exact millions; with digits it reads like 'other'
+  'debug.errors': { one: '{count} error', many: '{count} errores', other: '{count} errores' },
+  'debug.assets': 'Carga: {loaded} ok {failed} mal',
+  'debug.failedKind': '{kind} x{count}:',
+  'debug.dataIssues': {
+    one: '{count} dato con fallos',
+    many: '{count} datos con fallos',
+    other: '{count} datos con fallos',
+  },
+  'debug.newSeed': 'Semilla',
+  'debug.setSeed': 'Elegir',
+  'debug.seedPrompt': 'Semilla (un número o cualquier texto):',
+  'debug.resetSave': 'Borrar',
+  'debug.texturePage': 'Tex {page}/{pages}',
+  'debug.language': 'Idioma: {locale}',
+};
@@ -0,0 +1,8 @@
+import { StringTable } from '../types';
+import { en } from './en';
+import { es } from './es';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Dialogue translations live next to the fixture, see assets/data/magicWords.<locale>.json
+export const LOCALE_TABLES: Readonly<Record<string, StringTable>> = { en, es };
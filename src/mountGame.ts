@@ -0,0 +1,102 @@
+import '@pixi/events';
+import { Application } from 'pixi.js';
+import { GameManager } from './GameManager';
+import { GameConfig, GameHandle, MountOptions } from './types';
+import { Colors } from './utils/Colors';
+
+const DEFAULT_CONFIG: GameConfig = {
+  width: 1024,
+  height: 768,
+  scalingPolicy: 'fixedHeight',
+  backgroundColor: Colors.BACKGROUND,
+  antialias: true,
+  resolution: window.devicePixelRatio || 1,
+  fixedTimestepMS: 1000 / 60,
+  keyboardTarget: 'element',
+};
+
+/**
+ * Starts a game inside the given element and sizes it to that element. Every instance owns
+ * its canvas, listeners and scenes, so several can run on one page; assets are shared.
+ */
+export async function mountGame(
+  element: HTMLElement,
+  options: MountOptions = {}
+): Promise<GameHandle> {
+  const config: GameConfig = { ...DEFAULT_CONFIG, ...options };
+
+  const app = new Application({
+    width: config.width,
+    height: config.height,
+    backgroundColor: config.backgroundColor,
+    antialias: config.antialias,
+    resolution: config.resolution,
+    autoDensity: true,
+  });
+
+  const canvas = app.view as HTMLCanvasElement;
+  // handleResize positions the canvas with left/top, which needs a positioned host
+  canvas.style.position = 'absolute';
+  canvas.style.display = 'block';
+
+  const previousStyle = {
+    position: element.style.position,
+    overflow: element.style.overflow,
+  };
+  const previousTabIndex = element.getAttribute('tabindex');
+  if (getComputedStyle(element).position === 'static') {
+    element.style.position = 'relative';
+  }
+  element.style.overflow = 'hidden';
+  if (config.keyboardTarget !== 'window' && previousTabIndex === null) {
+    // Makes the element focusable so it can receive keyboard input
+    element.tabIndex = 0;
+  }
+  element.appendChild(canvas);
+
+  const gameManager = new GameManager(app, config);
+  const resizeObserver = new ResizeObserver(() => {
+    gameManager.handleResize();
+  });
+  let destroyed = false;
+
+  const destroy = (): void => {
+    if (destroyed) {
+      return;
+    }
+    destroyed = true;
+
+    resizeObserver.disconnect();
+    gameManager.destroy();
+    // Textures live in the shared asset cache and may still be used by other instances
+    app.destroy(true, { children: true, texture: false, baseTexture: false });
+
+    element.style.position = previousStyle.position;
+    element.style.overflow = previousStyle.overflow;
+    if (previousTabIndex === null) {
+      element.removeAttribute('tabindex');
+    }
+  };
+
+  try {
+    await gameManager.init();
+  } catch (error) {
+    destroy();
+    throw error;
+  }
+
+  resizeObserver.observe(element);
+  gameManager.handleResize();
+
+  return {
+    app,
+    switchScene: (sceneId, transition) => {
+      gameManager.switchToSceneById(sceneId, transition);
+    },
+    setDebug: enabled => {
+      gameManager.setDebugMode(enabled);
+    },
+    setLocale: locale => gameManager.setLocale(locale),
+    destroy,
+  };
+}
@@ -3,9 +3,17 @@ import * as TWEEN from '@tweenjs/tween.js';
 import { BaseScene } from './BaseScene';
 import { PlayingCard } from '../components/PlayingCard';
 import { Colors } from '../utils/Colors';
+import { RandomStream } from '../utils/Random';
+import { LayoutRule } from '../utils/Layout';
+
+interface AceOfShadowsState {
+  transferredCount: number;
+  speedMultiplier: number;
+}
 
 export class AceOfShadowsScene extends BaseScene {
   public readonly name = 'Ace of Shadows';
+  public readonly assetBundles = ['playingCards'];
 
   private static readonly TOTAL_CARDS = 144;
   private static readonly CARD_OFFSET_X = 1;
@@ -14,15 +22,30 @@ export class AceOfShadowsScene extends BaseScene {
   private static readonly ANIMATION_DURATION = 2000;
   private static readonly DEFAULT_SPEED_MULTIPLIER = 1.0;
 
+  // Stacks spread with the screen but never further apart than the 1024x768 design
+  private static readonly SOURCE_STACK_RULE: LayoutRule = {
+    anchor: 'center',
+    x: { percent: -0.1, min: -100 },
+    y: { percent: -0.26, min: -200 },
+  };
+  private static readonly DESTINATION_STACK_RULE: LayoutRule = {
+    anchor: 'center',
+    x: { percent: 0.2, max: 200 },
+    y: { percent: -0.26, min: -200 },
+  };
+
   private titleText: BitmapText;
   private cards: PlayingCard[] = [];
   private speedMultiplier = AceOfShadowsScene.DEFAULT_SPEED_MULTIPLIER;
 
   private tweenGroup: TWEEN.Group;
+  private random: RandomStream;
 
   private sourceStackCards: PlayingCard[] = [];
   private destinationStackCards: PlayingCard[] = [];
   private animationTimer = 0;
+  // Tweens run on scene time rather than wall-clock time so they honour pause and time scale
+  private sceneTime = 0;
   private isAnimating = false;
   private animationComplete = false;
   private activeTween: TWEEN.Tween | null = null;
@@ -31,9 +54,10 @@ export class AceOfShadowsScene extends BaseScene {
   private sourceStackPosition = { x: 0, y: 0 };
   private destinationStackPosition = { x: 0, y: 0 };
 
-  constructor() {
+  constructor(random: RandomStream) {
     super();
-    this.titleText = new BitmapText('Ace of Shadows', { fontName: 'MonospaceBold', fontSize: 28 });
+    this.random = random;
+    this.titleText = new BitmapText('', { fontName: 'MonospaceBold', fontSize: 28 });
     this.tweenGroup = new TWEEN.Group();
     this.container.sortableChildren = true;
   }
@@ -47,11 +71,11 @@ export class AceOfShadowsScene extends BaseScene {
   }
 
   private setupTitle(): void {
+    this.localize(this.titleText, 'scene.ace-of-shadows');
     this.titleText.tint = Colors.WHITE;
     this.titleText.anchor.set(0.5, 0);
-    this.titleText.x = this.screenWidth / 2;
-    this.titleText.y = 40;
     this.container.addChild(this.titleText);
+    this.layout.pin(this.titleText, { anchor: 'top', y: { margin: 40 } });
   }
 
   private createCards(): void {
@@ -66,13 +90,8 @@ export class AceOfShadowsScene extends BaseScene {
   }
 
   private calculateStackPositions(): void {
-    // Source stack: left side
-    this.sourceStackPosition.x = this.screenWidth / 2 - 100;
-    this.sourceStackPosition.y = this.screenHeight / 2 - 200;
-
-    // Destination stack: right side
-    this.destinationStackPosition.x = this.screenWidth / 2 + 200;
-    this.destinationStackPosition.y = this.screenHeight / 2 - 200;
+    this.sourceStackPosition = this.layout.resolve(AceOfShadowsScene.SOURCE_STACK_RULE);
+    this.destinationStackPosition = this.layout.resolve(AceOfShadowsScene.DESTINATION_STACK_RULE);
   }
 
   private arrangeCards(): void {
@@ -93,7 +112,8 @@ export class AceOfShadowsScene extends BaseScene {
   }
 
   update(deltaTime: number): void {
-    this.tweenGroup.update();
+    this.sceneTime += deltaTime;
+    this.tweenGroup.update(this.sceneTime);
     this.animationTimer += deltaTime;
 
     // Handle timer for next card animation (only if source stack has cards and not currently animating)
@@ -111,7 +131,7 @@ export class AceOfShadowsScene extends BaseScene {
   }
 
   private onAllCardsTransferred(): void {
-    console.log('All cards have been transferred to destination stack');
+    this.events?.emit('cardsTransferred', { count: this.destinationStackCards.length });
   }
 
   private animateNextCard(): void {
@@ -136,7 +156,7 @@ export class AceOfShadowsScene extends BaseScene {
     cardToMove.zIndex = 1000 + destIndex;
 
     const startRotation = cardToMove.rotation;
-    const targetRotation = startRotation + (Math.random() - 0.5) * 0.2;
+    const targetRotation = startRotation + (this.random.next() - 0.5) * 0.2;
 
     interface AnimationCoords {
       x: number;
@@ -176,21 +196,19 @@ export class AceOfShadowsScene extends BaseScene {
             .onUpdate((coords: { rotation: number }) => {
               cardToMove.rotation = coords.rotation;
             })
-            .start()
+            .start(this.sceneTime)
         );
 
         this.isAnimating = false;
         this.activeTween = null;
         this.animatingCard = null;
       })
-      .start();
+      .start(this.sceneTime);
 
     this.tweenGroup.add(this.activeTween);
   }
 
-  protected override onResize(width: number, _height: number): void {
-    this.titleText.x = width / 2;
-
+  protected override onResize(_width: number, _height: number): void {
     // Recalculate stack positions based on new dimensions
     this.calculateStackPositions();
 
@@ -244,14 +262,14 @@ export class AceOfShadowsScene extends BaseScene {
               .onUpdate((coords: { rotation: number }) => {
                 cardToMove.rotation = coords.rotation;
               })
-              .start()
+              .start(this.sceneTime)
           );
 
           this.isAnimating = false;
           this.activeTween = null;
           this.animatingCard = null;
         })
-        .start();
+        .start(this.sceneTime);
 
       this.tweenGroup.add(this.activeTween);
     }
@@ -259,6 +277,37 @@ export class AceOfShadowsScene extends BaseScene {
     this.arrangeCards();
   }
 
+  snapshot(): AceOfShadowsState {
+    // A card still in flight counts as dealt so a reload never deals it twice
+    const inFlight = this.animatingCard ? 1 : 0;
+    return {
+      transferredCount: this.destinationStackCards.length + inFlight,
+      speedMultiplier: this.speedMultiplier,
+    };
+  }
+
+  restore(state: unknown): void {
+    if (!isAceOfShadowsState(state)) {
+      return;
+    }
+
+    this.setSpeedMultiplier(state.speedMultiplier);
+
+    const count = Math.min(state.transferredCount, this.sourceStackCards.length);
+    for (let i = 0; i < count; i++) {
+      const card = this.sourceStackCards.pop();
+      if (!card) {
+        break;
+      }
+      card.setStackPosition(1, this.destinationStackCards.length);
+      this.destinationStackCards.push(card);
+    }
+
+    // Nothing left to deal means the transfer already finished in the saved session
+    this.animationComplete = this.sourceStackCards.length === 0;
+    this.arrangeCards();
+  }
+
   setSpeedMultiplier(multiplier: number): void {
     this.speedMultiplier = Math.max(0.1, multiplier);
   }
@@ -280,3 +329,11 @@ export class AceOfShadowsScene extends BaseScene {
     super.destroy();
   }
 }
+
+function isAceOfShadowsState(value: unknown): value is AceOfShadowsState {
+  if (typeof value !== 'object' || value === null) {
+    return false;
+  }
+  const state = value as Partial<AceOfShadowsState>;
+  return typeof state.transferredCount === 'number' && typeof state.speedMultiplier === 'number';
+}
@@ -1,5 +1,8 @@
-import { Container, Sprite } from 'pixi.js';
-import { Scene } from '../types';
+import { BitmapText, Container, Rectangle, Sprite } from 'pixi.js';
+import { GameEvents, InputAction, Scene, TranslationParams } from '../types';
+import { EventBus, EventHandler, Unsubscribe } from '../utils/EventBus';
+import { Layout } from '../utils/Layout';
+import { Localization } from '../utils/Localization';
 
 export abstract class BaseScene implements Scene {
   public readonly container: Container;
@@ -7,19 +10,33 @@ export abstract class BaseScene implements Scene {
 
   protected screenWidth = 0;
   protected screenHeight = 0;
+  protected safeArea = new Rectangle();
   protected initialized = false;
+  protected events: EventBus<GameEvents> | null = null;
+  /** Objects pinned here are re-positioned on every resize, before onResize runs. */
+  protected readonly layout = new Layout();
+
+  private subscriptions: Unsubscribe[] = [];
+  private actionHandlers = new Map<InputAction, () => void>();
+  private localizedTexts = new Set<BitmapText>();
 
   constructor() {
     this.container = new Container();
   }
 
+  setEventBus(events: EventBus<GameEvents>): void {
+    this.events = events;
+  }
+
   abstract init(): void;
 
   abstract update(deltaTime: number): void;
 
-  resize(width: number, height: number): void {
+  resize(width: number, height: number, safeArea?: Rectangle): void {
     this.screenWidth = width;
     this.screenHeight = height;
+    this.safeArea = safeArea ?? new Rectangle(0, 0, width, height);
+    this.layout.update(new Rectangle(0, 0, width, height), this.safeArea);
 
     if (this.initialized) {
       this.onResize(width, height);
@@ -28,7 +45,54 @@ export abstract class BaseScene implements Scene {
 
   protected onResize(_width: number, _height: number): void {}
 
+  /** Subscribes to a game event for the lifetime of the scene; destroy() unsubscribes. */
+  protected listen<K extends keyof GameEvents>(
+    event: K,
+    handler: EventHandler<GameEvents[K]>
+  ): void {
+    if (!this.events) {
+      return;
+    }
+    this.subscriptions.push(this.events.on(event, handler));
+  }
+
+  /** Shows a translated string that follows locale changes for the lifetime of the scene. */
+  protected localize(
+    text: BitmapText,
+    key: string,
+    params?: TranslationParams,
+    onUpdate?: (text: BitmapText) => void
+  ): void {
+    Localization.bind(text, key, params, onUpdate);
+    this.localizedTexts.add(text);
+  }
+
+  /** Handles an input action whenever this scene accepts input. */
+  protected onAction(action: InputAction, handler: () => void): void {
+    this.actionHandlers.set(action, handler);
+  }
+
+  handleAction(action: InputAction): boolean {
+    const handler = this.actionHandlers.get(action);
+    if (!handler) {
+      return false;
+    }
+    handler();
+    return true;
+  }
+
   destroy(): void {
+    for (const unsubscribe of this.subscriptions) {
+      unsubscribe();
+    }
+    this.subscriptions = [];
+    this.actionHandlers.clear();
+    for (const text of this.localizedTexts) {
+      Localization.unbind(text);
+    }
+    this.localizedTexts.clear();
+    this.layout.clear();
+
     this.container.removeChildren();
     this.container.destroy({ children: true, texture: false, baseTexture: false });
     this.initialized = false;
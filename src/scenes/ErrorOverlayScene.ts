@@ -0,0 +1,128 @@
+import { BitmapText, Container, Graphics } from 'pixi.js';
+import { BaseScene } from './BaseScene';
+import { Colors } from '../utils/Colors';
+
+/** Standard overlay shown by GameManager when a scene fails to load, start or update. */
+export class ErrorOverlayScene extends BaseScene {
+  public readonly name = 'Error';
+
+  private static readonly BUTTON_WIDTH = 140;
+  private static readonly BUTTON_HEIGHT = 40;
+  private static readonly BUTTON_SPACING = 20;
+  private static readonly MESSAGE_WIDTH = 600;
+
+  private backdrop: Graphics;
+  private failedSceneName: string;
+  private titleText: BitmapText;
+  private messageText: BitmapText;
+  private buttonRow: Container;
+  private onRetry: (() => void) | null;
+  private onDismiss: (() => void) | null;
+
+  constructor(
+    failedSceneName: string,
+    message: string,
+    onRetry: (() => void) | null,
+    onDismiss: (() => void) | null
+  ) {
+    super();
+    this.onRetry = onRetry;
+    this.onDismiss = onDismiss;
+    this.failedSceneName = failedSceneName;
+    this.backdrop = new Graphics();
+    this.titleText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: 28,
+    });
+    this.messageText = new BitmapText(message, {
+      fontName: 'MonospaceBold',
+      fontSize: 16,
+      maxWidth: ErrorOverlayScene.MESSAGE_WIDTH,
+      align: 'center',
+    });
+    this.buttonRow = new Container();
+  }
+
+  init(): void {
+    // Swallows pointer events so the scene underneath cannot be used until dismissed
+    this.backdrop.eventMode = 'static';
+    this.container.addChild(this.backdrop);
+
+    this.localize(this.titleText, 'error.title', { scene: this.failedSceneName });
+    this.titleText.tint = Colors.RED;
+    this.titleText.anchor.set(0.5);
+    this.container.addChild(this.titleText);
+    this.layout.pin(this.titleText, { anchor: 'center', y: { margin: -80 } });
+
+    this.messageText.tint = Colors.WHITE;
+    this.messageText.anchor.set(0.5);
+    this.container.addChild(this.messageText);
+    this.layout.pin(this.messageText, { anchor: 'center', y: { margin: -20 } });
+
+    if (this.onRetry) {
+      this.addButton('error.retry', this.onRetry);
+    }
+    if (this.onDismiss) {
+      this.addButton('error.dismiss', this.onDismiss);
+    }
+    this.container.addChild(this.buttonRow);
+    this.layout.pin(this.buttonRow, { anchor: 'center', y: { margin: 60 }, alignBounds: true });
+
+    this.initialized = true;
+    this.onResize(this.screenWidth, this.screenHeight);
+  }
+
+  private addButton(labelKey: string, onClick: () => void): void {
+    const button = new Container();
+
+    const buttonBg = new Graphics();
+    buttonBg.beginFill(Colors.DARK_GRAY);
+    buttonBg.lineStyle(1, Colors.YELLOW);
+    buttonBg.drawRoundedRect(
+      0,
+      0,
+      ErrorOverlayScene.BUTTON_WIDTH,
+      ErrorOverlayScene.BUTTON_HEIGHT,
+      5
+    );
+    buttonBg.endFill();
+
+    const buttonText = new BitmapText('', { fontName: 'MonospaceBold', fontSize: 18 });
+    buttonText.tint = Colors.YELLOW;
+    this.localize(buttonText, labelKey, {}, text => {
+      text.position.set(
+        (ErrorOverlayScene.BUTTON_WIDTH - text.width) / 2,
+        (ErrorOverlayScene.BUTTON_HEIGHT - text.height) / 2
+      );
+    });
+
+    button.addChild(buttonBg);
+    button.addChild(buttonText);
+    button.eventMode = 'static';
+    button.cursor = 'pointer';
+    button.on('pointertap', onClick);
+
+    button.x =
+      this.buttonRow.children.length *
+      (ErrorOverlayScene.BUTTON_WIDTH + ErrorOverlayScene.BUTTON_SPACING);
+    this.buttonRow.addChild(button);
+  }
+
+  update(_deltaTime: number): void {
+    // Static overlay, nothing to animate
+  }
+
+  protected override onResize(width: number, height: number): void {
+    this.backdrop.clear();
+    this.backdrop.beginFill(Colors.BLACK, 0.8);
+    this.backdrop.drawRect(0, 0, width, height);
+    this.backdrop.endFill();
+  }
+
+  override destroy(): void {
+    for (const button of this.buttonRow.children) {
+      button.removeAllListeners();
+    }
+    super.destroy();
+  }
+}
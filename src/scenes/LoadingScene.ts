@@ -0,0 +1,77 @@
+import { BitmapText, Graphics } from 'pixi.js';
+import { BaseScene } from './BaseScene';
+import { Colors } from '../utils/Colors';
+
+export class LoadingScene extends BaseScene {
+  public readonly name = 'Loading';
+
+  private static readonly BAR_WIDTH = 400;
+  private static readonly BAR_HEIGHT = 24;
+
+  private targetName: string;
+  private titleText: BitmapText;
+  private percentText: BitmapText;
+  private progressBar: Graphics;
+  private progress = 0;
+
+  constructor(targetName: string) {
+    super();
+    this.targetName = targetName;
+    this.titleText = new BitmapText('', {
+      fontName: 'MonospaceBold',
+      fontSize: 24,
+    });
+    this.percentText = new BitmapText('0%', { fontName: 'MonospaceBold', fontSize: 16 });
+    this.progressBar = new Graphics();
+  }
+
+  init(): void {
+    this.localize(this.titleText, 'loading.title', { scene: this.targetName });
+    this.titleText.tint = Colors.WHITE;
+    this.titleText.anchor.set(0.5);
+    this.percentText.tint = Colors.WHITE;
+    this.percentText.anchor.set(0.5);
+
+    this.container.addChild(this.titleText);
+    this.container.addChild(this.progressBar);
+    this.container.addChild(this.percentText);
+
+    this.layout.pin(this.titleText, { anchor: 'center', y: { margin: -50 } });
+    this.layout.pin(this.percentText, { anchor: 'center', y: { margin: 40 } });
+
+    this.initialized = true;
+    this.onResize(this.screenWidth, this.screenHeight);
+  }
+
+  setProgress(progress: number): void {
+    this.progress = Math.max(0, Math.min(1, progress));
+    this.percentText.text = `${Math.round(this.progress * 100).toString()}%`;
+    this.drawProgressBar();
+  }
+
+  update(_deltaTime: number): void {
+    // Progress is pushed in through setProgress
+  }
+
+  private drawProgressBar(): void {
+    const x = (this.screenWidth - LoadingScene.BAR_WIDTH) / 2;
+    const y = this.screenHeight / 2 - LoadingScene.BAR_HEIGHT / 2;
+
+    this.progressBar.clear();
+    this.progressBar.lineStyle(2, Colors.WHITE, 1);
+    this.progressBar.drawRect(x, y, LoadingScene.BAR_WIDTH, LoadingScene.BAR_HEIGHT);
+    this.progressBar.lineStyle(0);
+    this.progressBar.beginFill(Colors.DEBUG_GREEN);
+    this.progressBar.drawRect(
+      x + 2,
+      y + 2,
+      (LoadingScene.BAR_WIDTH - 4) * this.progress,
+      LoadingScene.BAR_HEIGHT - 4
+    );
+    this.progressBar.endFill();
+  }
+
+  protected override onResize(_width: number, _height: number): void {
+    this.drawProgressBar();
+  }
+}
@@ -1,62 +1,60 @@
-import { BitmapText, Container, Rectangle } from 'pixi.js';
+import { BitmapText } from 'pixi.js';
 import { BaseScene } from './BaseScene';
 import { DialogueComponent } from '../components/DialogueComponent';
 import { MagicWordsData } from '../types';
 import { Colors } from '../utils/Colors';
 import { AssetLoader } from '../utils/AssetLoader';
 
+interface MagicWordsState {
+  dialogueIndex: number;
+  complete: boolean;
+}
+
 export class MagicWordsScene extends BaseScene {
   public readonly name = 'Magic Words';
+  public readonly assetBundles = ['magicWords'];
 
   private titleText!: BitmapText;
   private dialogueComponent: DialogueComponent | null = null;
   private instructionText!: BitmapText;
   private progressText!: BitmapText;
-  private clickArea: Container;
 
   private magicWordsData: MagicWordsData | null = null;
-  private hasError = false;
-
-  constructor() {
-    super();
-
-    this.clickArea = new Container();
-    this.setupClickArea();
-  }
-
-  private setupClickArea(): void {
-    this.clickArea.hitArea = new Rectangle(0, 0, 100, 100);
-    this.clickArea.eventMode = 'static';
-    this.clickArea.cursor = 'pointer';
-    this.clickArea.on('pointertap', this.onScreenClick.bind(this));
-  }
+  private dialogueComplete = false;
 
   init(): void {
     this.createBitmapTexts();
     this.setupTitle();
 
-    try {
-      this.magicWordsData = AssetLoader.getMagicWordsData();
-      if (!this.magicWordsData) {
-        throw new Error('Magic Words data not loaded by AssetLoader');
-      }
-
-      this.createDialogueComponent();
-      this.setupUI();
-    } catch (error) {
-      this.handleLoadError(error);
+    // Thrown errors are reported by the GameManager error boundary
+    this.magicWordsData = AssetLoader.getMagicWordsData();
+    if (!this.magicWordsData) {
+      throw new Error('Magic Words data not loaded by AssetLoader');
     }
 
+    this.createDialogueComponent();
+    this.setupUI();
+
+    this.onAction('advanceDialogue', () => {
+      this.advanceDialogue();
+    });
+    this.onAction('previousDialogue', () => {
+      this.rewindDialogue();
+    });
+    this.listen('localeChanged', () => {
+      this.applyTranslatedDialogue();
+    });
+
     this.initialized = true;
   }
 
   private createBitmapTexts(): void {
-    this.titleText = new BitmapText('Magic Words', {
+    this.titleText = new BitmapText('', {
       fontName: 'MonospaceBold',
       fontSize: 28,
     });
 
-    this.instructionText = new BitmapText('Click anywhere to continue dialogue', {
+    this.instructionText = new BitmapText('', {
       fontName: 'MonospaceBold',
       fontSize: 16,
     });
@@ -68,11 +66,11 @@ export class MagicWordsScene extends BaseScene {
   }
 
   private setupTitle(): void {
+    this.localize(this.titleText, 'scene.magic-words');
     this.titleText.tint = Colors.WHITE;
     this.titleText.anchor.set(0.5, 0);
-    this.titleText.x = this.screenWidth / 2;
-    this.titleText.y = 40;
     this.container.addChild(this.titleText);
+    this.layout.pin(this.titleText, { anchor: 'top', y: { margin: 40 } });
   }
 
   private createDialogueComponent(): void {
@@ -94,49 +92,78 @@ export class MagicWordsScene extends BaseScene {
   }
 
   private setupUI(): void {
+    this.showInstruction();
     this.instructionText.tint = Colors.WHITE;
     this.instructionText.anchor.set(0.5);
-    this.instructionText.x = this.screenWidth / 2;
-    this.instructionText.y = 80;
     this.container.addChild(this.instructionText);
+    this.layout.pin(this.instructionText, { anchor: 'top', y: { margin: 80 } });
 
     this.progressText.tint = Colors.WHITE;
     this.progressText.anchor.set(0.5);
-    this.progressText.x = this.screenWidth / 2;
-    this.progressText.y = 110;
     this.container.addChild(this.progressText);
+    this.layout.pin(this.progressText, { anchor: 'top', y: { margin: 110 } });
+
+    this.updateProgressText();
+  }
+
+  private advanceDialogue(): void {
+    if (!this.dialogueComponent) {
+      return;
+    }
 
-    this.container.addChild(this.clickArea);
+    if (this.dialogueComplete) {
+      this.restartDialogue();
+      return;
+    }
 
+    const hasNext = this.dialogueComponent.nextDialogue();
     this.updateProgressText();
+
+    if (hasNext) {
+      this.events?.emit('dialogueAdvanced', {
+        index: this.dialogueComponent.getCurrentDialogueIndex(),
+        total: this.dialogueComponent.getTotalDialogues(),
+      });
+    } else {
+      this.onDialogueComplete();
+    }
   }
 
-  private handleLoadError(error: unknown): void {
-    console.error('Failed to load Magic Words data:', error);
-    this.hasError = true;
+  private rewindDialogue(): void {
+    if (!this.dialogueComponent) {
+      return;
+    }
 
-    const errorText = new BitmapText('Failed to load dialogue data.\nCheck console for details.', {
-      fontName: 'MonospaceBold',
-      fontSize: 16,
+    if (this.dialogueComplete) {
+      // Stepping back from the end reopens the last line rather than the one before it
+      this.dialogueComplete = false;
+      this.showInstruction();
+    } else if (!this.dialogueComponent.previousDialogue()) {
+      return;
+    }
+
+    this.updateProgressText();
+    this.events?.emit('dialogueAdvanced', {
+      index: this.dialogueComponent.getCurrentDialogueIndex(),
+      total: this.dialogueComponent.getTotalDialogues(),
     });
-    errorText.tint = Colors.WHITE;
-    errorText.anchor.set(0.5);
-    errorText.x = this.screenWidth / 2;
-    errorText.y = this.screenHeight / 2;
-    this.container.addChild(errorText);
   }
 
-  private onScreenClick(): void {
-    if (this.hasError || !this.dialogueComponent) {
+  /** Jumps to a dialogue entry (clamped), as if the player had stepped there. */
+  setDialogueIndex(index: number): void {
+    if (!this.dialogueComponent) {
       return;
     }
 
-    const hasNext = this.dialogueComponent.nextDialogue();
+    this.dialogueComponent.setDialogueIndex(index);
+    this.dialogueComplete = false;
+    this.showInstruction();
     this.updateProgressText();
 
-    if (!hasNext) {
-      this.onDialogueComplete();
-    }
+    this.events?.emit('dialogueAdvanced', {
+      index: this.dialogueComponent.getCurrentDialogueIndex(),
+      total: this.dialogueComponent.getTotalDialogues(),
+    });
   }
 
   private updateProgressText(): void {
@@ -146,39 +173,77 @@ export class MagicWordsScene extends BaseScene {
 
     const current = this.dialogueComponent.getCurrentDialogueIndex() + 1;
     const total = this.dialogueComponent.getTotalDialogues();
-    this.progressText.text = `Dialogue ${current.toString()} / ${total.toString()}`;
+    this.localize(this.progressText, 'magicWords.progress', { current, total });
+  }
+
+  private showInstruction(): void {
+    const key = this.dialogueComplete ? 'magicWords.complete' : 'magicWords.continue';
+    this.localize(this.instructionText, key);
+  }
+
+  /** Swaps in the dialogue of the new locale without losing the reader's place. */
+  private applyTranslatedDialogue(): void {
+    const data = AssetLoader.getMagicWordsData();
+    if (data && this.dialogueComponent) {
+      this.magicWordsData = data;
+      this.dialogueComponent.setDialogueEntries(data.dialogue);
+    }
   }
 
   private onDialogueComplete(): void {
-    this.instructionText.text = 'All dialogues complete! Click to restart.';
-
-    this.clickArea.removeAllListeners('pointertap');
-    this.clickArea.on('pointertap', () => {
-      if (this.dialogueComponent) {
-        this.dialogueComponent.resetToStart();
-        this.updateProgressText();
-        this.instructionText.text = 'Click anywhere to continue dialogue';
-
-        this.clickArea.removeAllListeners('pointertap');
-        this.clickArea.on('pointertap', this.onScreenClick.bind(this));
-      }
+    this.dialogueComplete = true;
+    this.showInstruction();
+
+    this.events?.emit('dialogueCompleted', {
+      total: this.dialogueComponent?.getTotalDialogues() ?? 0,
+    });
+  }
+
+  private restartDialogue(): void {
+    if (!this.dialogueComponent) {
+      return;
+    }
+
+    this.dialogueComplete = false;
+    this.dialogueComponent.resetToStart();
+    this.updateProgressText();
+    this.showInstruction();
+
+    this.events?.emit('dialogueAdvanced', {
+      index: 0,
+      total: this.dialogueComponent.getTotalDialogues(),
     });
   }
 
+  snapshot(): MagicWordsState {
+    return {
+      dialogueIndex: this.dialogueComponent?.getCurrentDialogueIndex() ?? 0,
+      complete: this.dialogueComplete,
+    };
+  }
+
+  restore(state: unknown): void {
+    if (!isMagicWordsState(state) || !this.dialogueComponent) {
+      return;
+    }
+
+    this.dialogueComponent.setDialogueIndex(state.dialogueIndex);
+    this.updateProgressText();
+
+    if (state.complete) {
+      this.dialogueComplete = true;
+      this.showInstruction();
+    }
+  }
+
   update(_deltaTime: number): void {
     // No continuous updates needed for this scene
   }
 
   protected override onResize(width: number, height: number): void {
-    this.titleText.x = width / 2;
-    this.instructionText.x = width / 2;
-    this.progressText.x = width / 2;
-
     if (this.dialogueComponent) {
       this.dialogueComponent.resize(width, height);
     }
-
-    this.clickArea.hitArea = new Rectangle(0, 0, width, height);
   }
 
   public getSpriteCount(): number {
@@ -192,8 +257,6 @@ export class MagicWordsScene extends BaseScene {
   }
 
   override destroy(): void {
-    this.clickArea.removeAllListeners();
-
     if (this.dialogueComponent) {
       this.dialogueComponent.destroy();
     }
@@ -201,3 +264,11 @@ export class MagicWordsScene extends BaseScene {
     super.destroy();
   }
 }
+
+function isMagicWordsState(value: unknown): value is MagicWordsState {
+  if (typeof value !== 'object' || value === null) {
+    return false;
+  }
+  const state = value as Partial<MagicWordsState>;
+  return typeof state.dialogueIndex === 'number' && typeof state.complete === 'boolean';
+}
@@ -0,0 +1,87 @@
+import { BitmapText, Container, Graphics } from 'pixi.js';
+import { BaseScene } from './BaseScene';
+import { Colors } from '../utils/Colors';
+
+export class PauseMenuScene extends BaseScene {
+  public readonly name = 'Pause Menu';
+
+  private static readonly BUTTON_WIDTH = 160;
+  private static readonly BUTTON_HEIGHT = 40;
+
+  private backdrop: Graphics;
+  private titleText: BitmapText;
+  private resumeButton: Container;
+  private onResume: () => void;
+
+  constructor(onResume: () => void) {
+    super();
+    this.onResume = onResume;
+    this.backdrop = new Graphics();
+    this.titleText = new BitmapText('', { fontName: 'MonospaceBold', fontSize: 36 });
+    this.resumeButton = new Container();
+  }
+
+  init(): void {
+    // The backdrop swallows pointer events so nothing behind the menu can be clicked
+    this.backdrop.eventMode = 'static';
+    this.container.addChild(this.backdrop);
+
+    this.localize(this.titleText, 'pause.title');
+    this.titleText.tint = Colors.WHITE;
+    this.titleText.anchor.set(0.5);
+    this.container.addChild(this.titleText);
+    this.layout.pin(this.titleText, { anchor: 'center', y: { margin: -60 } });
+
+    this.setupResumeButton();
+    this.onAction('pause', () => {
+      this.onResume();
+    });
+    this.layout.pin(this.resumeButton, { anchor: 'center', alignBounds: true });
+
+    this.initialized = true;
+    this.onResize(this.screenWidth, this.screenHeight);
+  }
+
+  private setupResumeButton(): void {
+    const buttonBg = new Graphics();
+    buttonBg.beginFill(Colors.DARK_GRAY);
+    buttonBg.lineStyle(1, Colors.YELLOW);
+    buttonBg.drawRoundedRect(0, 0, PauseMenuScene.BUTTON_WIDTH, PauseMenuScene.BUTTON_HEIGHT, 5);
+    buttonBg.endFill();
+
+    const buttonText = new BitmapText('', { fontName: 'MonospaceBold', fontSize: 18 });
+    buttonText.tint = Colors.YELLOW;
+    this.localize(buttonText, 'pause.resume', {}, text => {
+      text.position.set(
+        (PauseMenuScene.BUTTON_WIDTH - text.width) / 2,
+        (PauseMenuScene.BUTTON_HEIGHT - text.height) / 2
+      );
+    });
+
+    this.resumeButton.addChild(buttonBg);
+    this.resumeButton.addChild(buttonText);
+    this.resumeButton.eventMode = 'static';
+    this.resumeButton.cursor = 'pointer';
+    this.resumeButton.on('pointertap', () => {
+      this.onResume();
+    });
+
+    this.container.addChild(this.resumeButton);
+  }
+
+  update(_deltaTime: number): void {
+    // Static menu, nothing to animate
+  }
+
+  protected override onResize(width: number, height: number): void {
+    this.backdrop.clear();
+    this.backdrop.beginFill(Colors.BLACK, 0.6);
+    this.backdrop.drawRect(0, 0, width, height);
+    this.backdrop.endFill();
+  }
+
+  override destroy(): void {
+    this.resumeButton.removeAllListeners();
+    super.destroy();
+  }
+}
@@ -1,18 +1,21 @@
 import { BitmapText } from 'pixi.js';
 import { BaseScene } from './BaseScene';
-import { FireMetaBallSystem } from '@/components/FireMetaBallSystem';
+import { FireMetaBallRandom, FireMetaBallSystem } from '@/components/FireMetaBallSystem';
 import { Colors } from '../utils/Colors';
 
 export class PhoenixFlameScene extends BaseScene {
   public readonly name = 'PhoenixFlame';
+  public readonly assetBundles = ['fireMetaBalls'];
 
   private titleText: BitmapText;
   private animationTime = 0;
   private fireMetaBallSystem!: FireMetaBallSystem;
+  private random: FireMetaBallRandom;
 
-  constructor() {
+  constructor(random: FireMetaBallRandom) {
     super();
-    this.titleText = new BitmapText('Phoenix Flame', {
+    this.random = random;
+    this.titleText = new BitmapText('', {
       fontName: 'MonospaceBold',
       fontSize: 28,
     });
@@ -25,29 +28,37 @@ export class PhoenixFlameScene extends BaseScene {
   }
 
   private setupTexts(): void {
+    this.localize(this.titleText, 'scene.phoenix-flame');
     this.titleText.tint = Colors.WHITE;
     this.titleText.anchor.set(0.5, 0);
-    this.titleText.x = this.screenWidth / 2;
-    this.titleText.y = 40;
-
     this.container.addChild(this.titleText);
+    this.layout.pin(this.titleText, { anchor: 'top', y: { margin: 40 } });
   }
 
   private setupFire(): void {
-    this.fireMetaBallSystem = new FireMetaBallSystem({ max: 10, width: 400, height: 400 });
+    this.fireMetaBallSystem = new FireMetaBallSystem({
+      max: 10,
+      width: 400,
+      height: 400,
+      random: this.random,
+    });
     this.fireMetaBallSystem.pivot.set(200, 0);
 
     this.container.addChild(this.fireMetaBallSystem);
+    this.layout.pin(this.fireMetaBallSystem, { anchor: 'top', relativeTo: 'screen' });
   }
 
   update(deltaTime: number): void {
-    this.animationTime += deltaTime * 0.02;
-    this.fireMetaBallSystem.update(deltaTime / 1000);
+    this.fixedUpdate(deltaTime);
+    this.render(1);
   }
 
-  protected override onResize(width: number, _: number): void {
-    this.titleText.x = width / 2;
+  fixedUpdate(stepMS: number): void {
+    this.animationTime += stepMS * 0.02;
+    this.fireMetaBallSystem.fixedUpdate(stepMS / 1000);
+  }
 
-    this.fireMetaBallSystem.x = width / 2;
+  render(alpha: number): void {
+    this.fireMetaBallSystem.syncVisuals(alpha);
   }
 }
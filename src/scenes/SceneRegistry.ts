@@ -0,0 +1,29 @@
+import { SceneDefinition } from '../types';
+
+export class SceneRegistry {
+  private static definitions = new Map<string, SceneDefinition>();
+
+  static register(definition: SceneDefinition): void {
+    if (SceneRegistry.definitions.has(definition.id)) {
+      throw new Error(`Scene '${definition.id}' is already registered`);
+    }
+    SceneRegistry.definitions.set(definition.id, definition);
+  }
+
+  static get(id: string): SceneDefinition | undefined {
+    return SceneRegistry.definitions.get(id);
+  }
+
+  static has(id: string): boolean {
+    return SceneRegistry.definitions.has(id);
+  }
+
+  /** Definitions in registration order, which is also the order scene buttons are shown in. */
+  static getAll(): SceneDefinition[] {
+    return Array.from(SceneRegistry.definitions.values());
+  }
+
+  static getDefault(): SceneDefinition | undefined {
+    return SceneRegistry.definitions.values().next().value;
+  }
+}
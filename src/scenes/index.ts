@@ -0,0 +1,35 @@
+import { SceneRegistry } from './SceneRegistry';
+import { AceOfShadowsScene } from './AceOfShadowsScene';
+import { MagicWordsScene } from './MagicWordsScene';
+import { PhoenixFlameScene } from './PhoenixFlameScene';
+
+// The first registered scene is the one the game boots into when the URL names none.
+// Each scene and subsystem draws from its own named random stream so they stay reproducible
+// independently.
+SceneRegistry.register({
+  id: 'ace-of-shadows',
+  displayName: 'Ace of Shadows',
+  transition: { type: 'fade', duration: 600 },
+  create: ({ random }) => new AceOfShadowsScene(random.stream('cards')),
+});
+
+SceneRegistry.register({
+  id: 'magic-words',
+  displayName: 'Magic Words',
+  transition: { type: 'slide', direction: 'left' },
+  create: () => new MagicWordsScene(),
+});
+
+SceneRegistry.register({
+  id: 'phoenix-flame',
+  displayName: 'Phoenix Flame',
+  transition: { type: 'iris', duration: 700 },
+  create: ({ random }) =>
+    new PhoenixFlameScene({
+      particles: random.stream('fireMetaBalls.particles'),
+      spawn: random.stream('fireMetaBalls.spawn'),
+      merge: random.stream('fireMetaBalls.merge'),
+    }),
+});
+
+export { SceneRegistry };
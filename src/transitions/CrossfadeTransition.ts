@@ -0,0 +1,10 @@
+import { SceneTransition } from './SceneTransition';
+
+export class CrossfadeTransition extends SceneTransition {
+  protected apply(progress: number): void {
+    if (this.outgoing) {
+      this.outgoing.alpha = 1 - progress;
+    }
+    this.incoming.alpha = progress;
+  }
+}
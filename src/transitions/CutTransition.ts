@@ -0,0 +1,13 @@
+import { SceneTransition } from './SceneTransition';
+
+export class CutTransition extends SceneTransition {
+  constructor() {
+    super(0);
+  }
+
+  protected apply(_progress: number): void {
+    if (this.outgoing) {
+      this.outgoing.visible = false;
+    }
+  }
+}
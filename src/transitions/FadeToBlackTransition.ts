@@ -0,0 +1,48 @@
+import { Graphics } from 'pixi.js';
+import { SceneTransition } from './SceneTransition';
+import { Colors } from '../utils/Colors';
+
+export class FadeToBlackTransition extends SceneTransition {
+  private curtain: Graphics | null = null;
+
+  protected override onBegin(): void {
+    this.curtain = new Graphics();
+    this.overlayLayer.addChild(this.curtain);
+    this.drawCurtain();
+  }
+
+  override resize(width: number, height: number): void {
+    super.resize(width, height);
+    this.drawCurtain();
+  }
+
+  private drawCurtain(): void {
+    if (!this.curtain) {
+      return;
+    }
+    this.curtain.clear();
+    this.curtain.beginFill(Colors.BLACK);
+    this.curtain.drawRect(0, 0, this.screenWidth, this.screenHeight);
+    this.curtain.endFill();
+  }
+
+  protected apply(progress: number): void {
+    // First half fades the old scene out to black, second half fades the new one in
+    const fadingOut = progress < 0.5 && this.outgoing !== null;
+    if (this.outgoing) {
+      this.outgoing.visible = fadingOut;
+    }
+    this.incoming.visible = !fadingOut;
+
+    if (this.curtain) {
+      this.curtain.alpha = fadingOut ? progress * 2 : Math.min(1, (1 - progress) * 2);
+    }
+  }
+
+  protected override onEnd(): void {
+    if (this.curtain) {
+      this.curtain.destroy();
+      this.curtain = null;
+    }
+  }
+}
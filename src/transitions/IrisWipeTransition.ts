@@ -0,0 +1,36 @@
+import { Graphics } from 'pixi.js';
+import { SceneTransition } from './SceneTransition';
+import { Colors } from '../utils/Colors';
+
+export class IrisWipeTransition extends SceneTransition {
+  private iris: Graphics | null = null;
+
+  protected override onBegin(): void {
+    this.iris = new Graphics();
+    this.overlayLayer.addChild(this.iris);
+    this.incoming.mask = this.iris;
+  }
+
+  protected apply(progress: number): void {
+    if (!this.iris) {
+      return;
+    }
+
+    const centerX = this.screenWidth / 2;
+    const centerY = this.screenHeight / 2;
+    const maxRadius = Math.hypot(centerX, centerY);
+
+    this.iris.clear();
+    this.iris.beginFill(Colors.WHITE);
+    this.iris.drawCircle(centerX, centerY, maxRadius * progress);
+    this.iris.endFill();
+  }
+
+  protected override onEnd(): void {
+    this.incoming.mask = null;
+    if (this.iris) {
+      this.iris.destroy();
+      this.iris = null;
+    }
+  }
+}
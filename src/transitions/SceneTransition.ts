@@ -0,0 +1,66 @@
+import { Container } from 'pixi.js';
+import * as TWEEN from '@tweenjs/tween.js';
+import { EasingFunction } from '../types';
+
+export abstract class SceneTransition {
+  public readonly duration: number;
+  public readonly easing: EasingFunction;
+
+  protected outgoing: Container | null = null;
+  protected incoming!: Container;
+  protected overlayLayer!: Container;
+  protected screenWidth = 0;
+  protected screenHeight = 0;
+
+  private elapsed = 0;
+
+  constructor(duration: number, easing: EasingFunction = TWEEN.Easing.Quadratic.InOut) {
+    this.duration = Math.max(0, duration);
+    this.easing = easing;
+  }
+
+  /**
+   * Called once both scene containers are on stage. The overlay layer sits above both scenes
+   * and below the UI, for transitions that need to draw something of their own.
+   */
+  begin(outgoing: Container | null, incoming: Container, overlayLayer: Container): void {
+    this.outgoing = outgoing;
+    this.incoming = incoming;
+    this.overlayLayer = overlayLayer;
+    this.elapsed = 0;
+    this.onBegin();
+    this.apply(0);
+  }
+
+  /** Advances the transition and returns true once it has finished. */
+  advance(deltaMS: number): boolean {
+    this.elapsed += deltaMS;
+    const progress = this.duration > 0 ? Math.min(1, this.elapsed / this.duration) : 1;
+    this.apply(this.easing(progress));
+    return progress >= 1;
+  }
+
+  resize(width: number, height: number): void {
+    this.screenWidth = width;
+    this.screenHeight = height;
+  }
+
+  /** Restores both containers to their untransformed state and removes any overlay objects. */
+  end(): void {
+    this.onEnd();
+    this.incoming.alpha = 1;
+    this.incoming.visible = true;
+    this.incoming.position.set(0, 0);
+    if (this.outgoing) {
+      this.outgoing.alpha = 1;
+      this.outgoing.visible = true;
+      this.outgoing.position.set(0, 0);
+    }
+  }
+
+  protected onBegin(): void {}
+
+  protected onEnd(): void {}
+
+  protected abstract apply(progress: number): void;
+}
@@ -0,0 +1,34 @@
+import { SceneTransition } from './SceneTransition';
+import { EasingFunction, SlideDirection } from '../types';
+
+export class SlideTransition extends SceneTransition {
+  private direction: SlideDirection;
+
+  constructor(duration: number, easing?: EasingFunction, direction: SlideDirection = 'left') {
+    super(duration, easing);
+    this.direction = direction;
+  }
+
+  protected apply(progress: number): void {
+    const { x, y } = this.getTravel();
+
+    // The incoming scene starts one screen away and pushes the outgoing one off the other side
+    this.incoming.position.set(x * (1 - progress), y * (1 - progress));
+    if (this.outgoing) {
+      this.outgoing.position.set(-x * progress, -y * progress);
+    }
+  }
+
+  private getTravel(): { x: number; y: number } {
+    switch (this.direction) {
+      case 'left':
+        return { x: this.screenWidth, y: 0 };
+      case 'right':
+        return { x: -this.screenWidth, y: 0 };
+      case 'up':
+        return { x: 0, y: this.screenHeight };
+      case 'down':
+        return { x: 0, y: -this.screenHeight };
+    }
+  }
+}
@@ -0,0 +1,29 @@
+import { SceneTransition } from './SceneTransition';
+import { CutTransition } from './CutTransition';
+import { FadeToBlackTransition } from './FadeToBlackTransition';
+import { CrossfadeTransition } from './CrossfadeTransition';
+import { SlideTransition } from './SlideTransition';
+import { IrisWipeTransition } from './IrisWipeTransition';
+import { TransitionOptions } from '../types';
+
+/** Shared by GameManager's default transition and options that leave the duration out. */
+export const DEFAULT_TRANSITION_DURATION = 400;
+
+export function createTransition(options: TransitionOptions): SceneTransition {
+  const duration = options.duration ?? DEFAULT_TRANSITION_DURATION;
+
+  switch (options.type) {
+    case 'cut':
+      return new CutTransition();
+    case 'fade':
+      return new FadeToBlackTransition(duration, options.easing);
+    case 'crossfade':
+      return new CrossfadeTransition(duration, options.easing);
+    case 'slide':
+      return new SlideTransition(duration, options.easing, options.direction);
+    case 'iris':
+      return new IrisWipeTransition(duration, options.easing);
+  }
+}
+
+export { SceneTransition };
@@ -1,26 +1,289 @@
-import { Application, Container, Texture } from 'pixi.js';
+import { Application, Container, Rectangle, Texture } from 'pixi.js';
+import { RandomService } from '../utils/Random';
+import { EventBus } from '../utils/EventBus';
 
 export interface Scene {
   readonly name: string;
   readonly container: Container;
+  /** Asset bundles that must be loaded before init() runs. */
+  readonly assetBundles?: readonly string[];
   init(): void;
   update(deltaTime: number): void;
-  resize(width: number, height: number): void;
+  /**
+   * Optional fixed-rate simulation step. When the game runs with a fixed timestep, scenes that
+   * implement this receive fixedUpdate/render instead of update.
+   */
+  fixedUpdate?(stepMS: number): void;
+  /** Called once per frame after fixed steps; alpha (0..1) is how far into the next step we are. */
+  render?(alpha: number): void;
+  /** The safe area is the visible part of the screen; it is smaller than it when cropping. */
+  resize(width: number, height: number, safeArea?: Rectangle): void;
   destroy(): void;
+  /** Returns JSON-serialisable state for the GameManager to persist across reloads. */
+  snapshot?(): unknown;
+  /**
+   * Applies state previously returned by snapshot(), after init() and before the first resize.
+   * The state comes from storage, so implementations must validate its shape.
+   */
+  restore?(state: unknown): void;
+  /** Called by the GameManager before init() so the scene can publish and subscribe. */
+  setEventBus?(events: EventBus<GameEvents>): void;
+  /**
+   * Receives input actions while the scene accepts input. Returns true when the action was
+   * handled, which stops it from reaching the scenes below and the global handlers.
+   */
+  handleAction?(action: InputAction): boolean;
+}
+
+/** Optional scene capabilities, checked for at runtime before the host bridge drives a scene. */
+export interface SpeedAdjustable {
+  setSpeedMultiplier(multiplier: number): void;
+}
+
+export interface DialogueSeekable {
+  setDialogueIndex(index: number): void;
+}
+
+/**
+ * Events carried on the game-wide bus. The *Requested events are commands from UI to the
+ * GameManager; the rest are notifications anyone may observe.
+ */
+export interface GameEvents {
+  sceneChanged: { sceneId: string | null; sceneName: string };
+  debugToggled: { enabled: boolean };
+  cardsTransferred: { count: number };
+  dialogueAdvanced: { index: number; total: number };
+  dialogueCompleted: { total: number };
+  sceneFailed: { sceneId: string | null; sceneName: string; phase: ScenePhase; message: string };
+  sceneAvailabilityChanged: { sceneId: string; available: boolean };
+  loadReported: LoadReport;
+  localeChanged: { locale: string };
+  sceneRequested: { sceneId: string };
+  seedChangeRequested: { seed: number };
+  debugToggleRequested: undefined;
+  fullscreenRequested: undefined;
+  pauseMenuRequested: undefined;
+  savedStateResetRequested: undefined;
+  localeCycleRequested: undefined;
+}
+
+export type InputAction =
+  | 'advanceDialogue'
+  | 'previousDialogue'
+  | 'nextScene'
+  | 'toggleDebug'
+  | 'toggleFullscreen'
+  | 'pause';
+
+/** Physical inputs bound to an action: KeyboardEvent.code values and standard gamepad buttons. */
+export interface InputBinding {
+  keys: string[];
+  gamepadButtons: number[];
+}
+
+export type InputBindings = Record<InputAction, InputBinding>;
+
+/** Where in its lifecycle a scene threw, as reported by the GameManager error boundary. */
+export type ScenePhase = 'load' | 'init' | 'update' | 'resize' | 'input';
+
+export type LoadProgressCallback = (progress: number) => void;
+
+export type BundleStatus = 'idle' | 'loading' | 'loaded' | 'failed';
+
+export type EasingFunction = (amount: number) => number;
+
+export type TransitionType = 'cut' | 'fade' | 'crossfade' | 'slide' | 'iris';
+
+export type SlideDirection = 'left' | 'right' | 'up' | 'down';
+
+export interface TransitionOptions {
+  type: TransitionType;
+  duration?: number;
+  easing?: EasingFunction;
+  direction?: SlideDirection;
+}
+
+/** Declares what the scenes below a stacked scene keep doing while it is on top. */
+export interface SceneStackOptions {
+  updateBelow: boolean;
+  renderBelow: boolean;
+  inputBelow: boolean;
+}
+
+/** Services handed to scene factories by the GameManager. */
+export interface SceneContext {
+  random: RandomService;
+}
+
+export interface SceneDefinition {
+  readonly id: string;
+  /** Untranslated name for hosts; the UI shows the `scene.<id>` string of the locale. */
+  readonly displayName: string;
+  /** Transition used when switching to this scene unless the switch call names its own. */
+  readonly transition?: TransitionOptions;
+  create(context: SceneContext): Scene;
+}
+
+export type ScalingPolicy = 'fixedHeight' | 'fixedWidth' | 'fit' | 'fill' | 'pixelPerfect';
+
+export interface Viewport {
+  virtualWidth: number;
+  virtualHeight: number;
+  cssWidth: number;
+  cssHeight: number;
+  offsetX: number;
+  offsetY: number;
+  safeArea: Rectangle;
 }
 
 export interface GameConfig {
   width: number;
   height: number;
+  /** How the design resolution maps onto the container. Defaults to fixedHeight. */
+  scalingPolicy?: ScalingPolicy;
   backgroundColor: number;
   antialias: boolean;
   resolution: number;
+  /** Upper bound for the delta passed to scenes in a single frame, in milliseconds. */
+  maxFrameDeltaMS?: number;
+  /** Enables the fixed-timestep loop for scenes that implement fixedUpdate. */
+  fixedTimestepMS?: number;
+  /** Fixed steps allowed per frame before the remaining backlog is dropped. */
+  maxFixedStepsPerFrame?: number;
+  /** Mirrors the scene and seed into the URL hash. Only one game per page should enable it. */
+  hashRouting?: boolean;
+  /** Scene to open first; defaults to the first registered scene. */
+  initialSceneId?: string;
+  seed?: number;
+  /** Starts with the debug menu shown. Defaults to true. */
+  debug?: boolean;
+  /** Where keyboard input is read from. 'element' needs the game's host element focused. */
+  keyboardTarget?: 'window' | 'element';
+  /** Enables the postMessage host bridge for parent pages on these exact origins. */
+  allowedHostOrigins?: readonly string[];
+  /** Where Magic Words dialogue comes from. Shared by every game on the page. */
+  dialogueSource?: DialogueSourceConfig;
+  /** Timeouts, retries and parallelism for network assets. Shared by every game on the page. */
+  loadPolicy?: Partial<LoadPolicy>;
+  /**
+   * Resolution atlas variants are chosen for; defaults to the renderer resolution. Lower it to
+   * save memory on weak devices. Shared by every game on the page.
+   */
+  textureResolution?: number;
+  /** Estimated texture memory kept before unused bundles are unloaded. Shared like loadPolicy. */
+  textureBudgetMB?: number;
+  /** Language of the UI and dialogue, e.g. 'es'; defaults to English. Shared like loadPolicy. */
+  locale?: string;
+}
+
+/** Plural variants of a string keyed by Intl.PluralRules category; `other` is always needed. */
+export type PluralForms = Partial<Record<Intl.LDMLPluralRule, string>> & { other: string };
+
+/** UI strings of one locale by id. `{name}` placeholders are filled from TranslationParams. */
+export type StringTable = Record<string, string | PluralForms>;
+
+/** Interpolation values; a numeric `count` also selects the plural form. */
+export type TranslationParams = Record<string, string | number>;
+
+/** Dialogue translations of one locale, keyed by the source line they replace. */
+export interface DialogueTranslations {
+  dialogue: Record<string, string>;
+}
+
+export interface MissingTranslation {
+  locale: string;
+  /** ui entries are string ids, dialogue entries the untranslated source line. */
+  table: 'ui' | 'dialogue';
+  key: string;
+  reason: string;
+}
+
+/**
+ * remote fetches the API and falls back to the last good copy, fixture reads the JSON bundled
+ * with the game, cache only uses the last good copy.
+ */
+export type DialogueSourceMode = 'remote' | 'fixture' | 'cache';
+
+export interface DialogueSourceConfig {
+  mode: DialogueSourceMode;
+  /** Endpoint for remote mode; defaults to the Magic Words mock API. */
+  url?: string;
+  /** How payload problems are handled; defaults to lenient. */
+  validation?: ValidationMode;
+}
+
+/** strict drops every item with a problem; lenient repairs what it can and drops the rest. */
+export type ValidationMode = 'strict' | 'lenient';
+
+export interface ValidationIssue {
+  /** JSONPath-style location, e.g. `$.avatars[2].position`. */
+  path: string;
+  message: string;
+  outcome: 'dropped' | 'repaired' | 'flagged';
+}
+
+export interface LoadPolicy {
+  /** Per attempt, not per asset. */
+  timeoutMS: number;
+  /** Attempts after the first one. */
+  retries: number;
+  /** Wait before the first retry; doubles for every further retry. */
+  retryDelayMS: number;
+  maxRetryDelayMS: number;
+  /** Emoji and avatar downloads in flight at once. */
+  concurrency: number;
+}
+
+export interface TextureReportEntry {
+  bundle: string;
+  /** Live scenes using the bundle; 0 means it is only cached. */
+  refs: number;
+  textures: number;
+  /** Estimated, see TextureMemory. */
+  bytes: number;
+}
+
+export interface LoadFailure {
+  kind: 'dialogue' | 'emoji' | 'avatar';
+  name: string;
+  url?: string;
+  reason: string;
+}
+
+/** Outcome of loading the Magic Words content; failed images are replaced by placeholders. */
+export interface LoadReport {
+  source: DialogueSourceMode;
+  loaded: number;
+  failures: LoadFailure[];
+  /** Problems found in the dialogue payload itself. */
+  issues: ValidationIssue[];
+  durationMS: number;
+}
+
+/** Everything has a default; width and height are the design resolution, not the element size. */
+export type MountOptions = Partial<GameConfig>;
+
+export interface GameHandle {
+  readonly app: Application;
+  switchScene(sceneId: string, transition?: TransitionOptions): void;
+  setDebug(enabled: boolean): void;
+  /** Applies to every game on the page; resolves once the dialogue translations are loaded. */
+  setLocale(locale: string): Promise<void>;
+  /** Stops the game, removes its canvas and every listener it added. Safe to call twice. */
+  destroy(): void;
 }
 
 export interface DebugInfo {
   fps: number;
   sceneName: string;
   spriteCount: number;
+  paused: boolean;
+  pauseReasons: string[];
+  timeScale: number;
+  seed: number;
+  /** Estimated size of all loaded textures. */
+  textureBytes: number;
+  textureBundles: TextureReportEntry[];
 }
 
 export interface GameApplication extends Application {
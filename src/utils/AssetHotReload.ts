@@ -0,0 +1,44 @@
+export interface AssetHotReloadTarget {
+  hotReloadBundles(bundles: readonly string[]): Promise<void>;
+}
+
+// Served by scripts/assetHotReload.js while running the dev server
+const EVENTS_URL = '/__asset-events';
+
+/**
+ * Listens for rebuilt atlases and edited data files and reloads the affected bundles in place.
+ * Reloads run one after another so a burst of saves never races itself. Returns the cleanup.
+ */
+export function connectAssetHotReload(target: AssetHotReloadTarget): () => void {
+  const events = new EventSource(EVENTS_URL);
+  let reloading = Promise.resolve();
+
+  events.addEventListener('bundlesChanged', event => {
+    const bundles = parseBundles((event as MessageEvent<string>).data);
+    if (bundles.length === 0) {
+      return;
+    }
+
+    reloading = reloading
+      .then(() => target.hotReloadBundles(bundles))
+      .catch((error: unknown) => {
+        console.error('Asset hot reload failed:', error);
+      });
+  });
+
+  return () => {
+    events.close();
+  };
+}
+
+function parseBundles(data: string): string[] {
+  try {
+    const message = JSON.parse(data) as { bundles?: unknown };
+    return Array.isArray(message.bundles)
+      ? message.bundles.filter((bundle): bundle is string => typeof bundle === 'string')
+      : [];
+  } catch (error) {
+    console.warn('Ignoring malformed asset hot reload event:', error);
+    return [];
+  }
+}
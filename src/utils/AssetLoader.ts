@@ -1,24 +1,399 @@
-import { Assets, Texture } from 'pixi.js';
-import { EmojiData, AvatarData, MagicWordsData, AvatarTexture } from '../types';
+import { Assets, AssetsManifest, BaseTexture, Texture } from 'pixi.js';
+import {
+  EmojiData,
+  AvatarData,
+  MagicWordsData,
+  AvatarTexture,
+  BundleStatus,
+  DialogueTranslations,
+  LoadFailure,
+  LoadPolicy,
+  LoadProgressCallback,
+  LoadReport,
+  MissingTranslation,
+  TextureReportEntry,
+  ValidationIssue,
+} from '../types';
+import { createDialogueSource, DialogueSource } from './DialogueSource';
+import {
+  findMissingDialogueTranslations,
+  parseDialogueTranslations,
+  translateDialogue,
+} from './DialogueTranslations';
+import { Unsubscribe } from './EventBus';
+import { MagicWordsValidationError } from './MagicWordsValidator';
+import { Localization } from './Localization';
+import { DEFAULT_LOAD_POLICY, fetchImageBitmap, mapWithConcurrency } from './Network';
+import { getPlaceholderTexture, isPlaceholderTexture, PlaceholderKind } from './PlaceholderTexture';
+import { collectBaseTextures, estimateTextureBytes, formatBytes } from './TextureMemory';
+
+interface CustomBundle {
+  /** Resolves with the loaded assets that count towards the texture budget. */
+  load(onProgress: LoadProgressCallback): Promise<unknown[]>;
+  unload(): Promise<void>;
+}
+type LoadReportListener = (report: LoadReport) => void;
 
 export class AssetLoader {
   private static textureCache = new Map<string, Texture>();
+  private static imageLoads = new Map<string, Promise<Texture>>();
   private static magicWordsData: MagicWordsData | null = null;
   private static avatarTextures: Map<string, AvatarTexture> | null = null;
+  private static dialogueSource: DialogueSource | null = null;
+  private static loadPolicy: LoadPolicy = { ...DEFAULT_LOAD_POLICY };
+  private static lastLoadReport: LoadReport | null = null;
+  private static reportListeners = new Set<LoadReportListener>();
+
+  static readonly MANIFEST_URL = 'assets/manifest.json';
+  // Resolutions scripts/generateAtlas.js packs atlases at, as @0.5x/@1x/@2x files
+  static readonly TEXTURE_VARIANTS: readonly number[] = [0.5, 1, 2];
+
+  private static textureResolution = window.devicePixelRatio || 1;
+
+  private static manifestPromise: Promise<void> | null = null;
+  private static manifestBundles = new Set<string>();
+  private static bundleStatus = new Map<string, BundleStatus>();
+  private static pendingBundles = new Map<string, Promise<void>>();
+  private static pendingUnloads = new Map<string, Promise<void>>();
+  private static bundleAssets = new Map<string, unknown[]>();
+  private static bundleRefs = new Map<string, number>();
+  private static bundleLastUsed = new Map<string, number>();
+  private static textureBudgetBytes = 128 * 1024 * 1024;
 
+  // The shell's own UI needs these for as long as any game is mounted
+  private static readonly PINNED_BUNDLES: ReadonlySet<string> = new Set(['core']);
+
+  // Bundles a bundle loads for itself and so keeps alive while it is in use
+  private static readonly BUNDLE_DEPENDENCIES: Readonly<Record<string, readonly string[]>> = {
+    // The fixture is only loaded in fixture mode; holding it otherwise costs nothing
+    magicWords: ['dialogue', 'dialogueFixture'],
+  };
+
+  // Bundles backed by something other than static files, such as the Magic Words API payload
+  private static customBundles: Record<string, CustomBundle> = {
+    magicWords: {
+      load: async onProgress => {
+        await AssetLoader.loadMagicWordsAssets(onProgress);
+        return AssetLoader.getMagicWordsTextures();
+      },
+      unload: () => AssetLoader.unloadMagicWordsAssets(),
+    },
+  };
+
+  /**
+   * Loads only what the game shell itself needs (the UI font). Everything else is loaded
+   * on demand through the bundles each scene declares.
+   */
   async loadInitialAssets(): Promise<void> {
-    const texture = await Assets.load<Texture>('assets/images/fish_blue.png');
-    AssetLoader.textureCache.set('demo_sprite', texture);
-    await AssetLoader.loadFont(
-      'MonospaceBold',
-      './assets/fonts/MonospaceBold.fnt',
-      './assets/fonts/MonospaceBold.png'
+    await AssetLoader.loadBundles(['core']);
+  }
+
+  /**
+   * Reads the asset manifest and hands its bundles to Pixi. Runs once per page, however many
+   * games are mounted; a failed attempt is retried on the next call.
+   */
+  static loadManifest(): Promise<void> {
+    AssetLoader.manifestPromise ??= AssetLoader.fetchManifest().catch((error: unknown) => {
+      AssetLoader.manifestPromise = null;
+      throw error;
+    });
+    return AssetLoader.manifestPromise;
+  }
+
+  /**
+   * Sets the resolution texture variants are picked for. Only takes effect before the manifest
+   * is loaded, since Pixi fixes its preferences on init.
+   */
+  static setTextureResolution(resolution: number): void {
+    if (AssetLoader.manifestPromise) {
+      if (resolution !== AssetLoader.textureResolution) {
+        console.warn('Texture resolution is fixed once the asset manifest has loaded');
+      }
+      return;
+    }
+    AssetLoader.textureResolution = resolution;
+  }
+
+  /**
+   * The smallest variant that still covers the target resolution comes first, then larger
+   * ones, then smaller ones as a last resort. Pixi takes the first variant an asset has.
+   * Falling back is expected: atlases whose source art is no larger than @1x ship without @2x
+   * (see "$comment" on their manifest bundle), so 2x screens get their @1x variant.
+   */
+  private static getResolutionPreference(): number[] {
+    const target = AssetLoader.textureResolution;
+    const sorted = [...AssetLoader.TEXTURE_VARIANTS].sort((a, b) => a - b);
+    const sharpEnough = sorted.filter(variant => variant >= target);
+    const tooSoft = sorted.filter(variant => variant < target).reverse();
+    return [...sharpEnough, ...tooSoft];
+  }
+
+  private static async fetchManifest(): Promise<void> {
+    const response = await fetch(AssetLoader.MANIFEST_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch asset manifest: ${response.status.toString()}`);
+    }
+
+    const manifest = (await response.json()) as AssetsManifest;
+    await Assets.init({
+      manifest,
+      texturePreference: { resolution: AssetLoader.getResolutionPreference() },
+    });
+
+    for (const bundle of manifest.bundles) {
+      AssetLoader.manifestBundles.add(bundle.name);
+    }
+  }
+
+  static getBundleStatus(name: string): BundleStatus {
+    return AssetLoader.bundleStatus.get(name) ?? 'idle';
+  }
+
+  /** Status of every bundle known so far, from the manifest and the custom loaders. */
+  static getBundleStatuses(): Record<string, BundleStatus> {
+    const names = [...AssetLoader.manifestBundles, ...Object.keys(AssetLoader.customBundles)];
+    return Object.fromEntries(names.map(name => [name, AssetLoader.getBundleStatus(name)]));
+  }
+
+  static isBundleLoaded(name: string): boolean {
+    return AssetLoader.getBundleStatus(name) === 'loaded';
+  }
+
+  static areBundlesLoaded(names: readonly string[]): boolean {
+    return names.every(name => AssetLoader.isBundleLoaded(name));
+  }
+
+  /**
+   * Loads several bundles in parallel and reports their combined progress in the 0..1 range.
+   * Bundles that are already loaded or loading are not requested twice.
+   */
+  static async loadBundles(
+    names: readonly string[],
+    onProgress: LoadProgressCallback = () => {}
+  ): Promise<void> {
+    if (names.length === 0) {
+      onProgress(1);
+      return;
+    }
+
+    const progress = names.map((name): number => (AssetLoader.isBundleLoaded(name) ? 1 : 0));
+    const reportProgress = (): void => {
+      onProgress(progress.reduce((sum, value) => sum + value, 0) / names.length);
+    };
+
+    reportProgress();
+
+    await Promise.all(
+      names.map((name, index) =>
+        AssetLoader.loadBundle(name, value => {
+          progress[index] = value;
+          reportProgress();
+        })
+      )
     );
-    await AssetLoader.loadAtlas('playingCards', './assets/images/playingCards.json');
-    await AssetLoader.loadAtlas('fireParticles', './assets/images/fireParticles.json');
-    await AssetLoader.loadAtlas('fireMetaBalls', './assets/images/fireMetaBalls.json');
+  }
+
+  static loadBundle(name: string, onProgress: LoadProgressCallback = () => {}): Promise<void> {
+    if (AssetLoader.isBundleLoaded(name)) {
+      onProgress(1);
+      return Promise.resolve();
+    }
 
-    await AssetLoader.loadMagicWordsAssets();
+    const pending = AssetLoader.pendingBundles.get(name);
+    if (pending) {
+      return pending;
+    }
+
+    AssetLoader.bundleStatus.set(name, 'loading');
+
+    const promise = AssetLoader.startBundleLoad(name, onProgress)
+      .then(assets => {
+        AssetLoader.bundleAssets.set(name, assets);
+        AssetLoader.bundleStatus.set(name, 'loaded');
+        AssetLoader.bundleLastUsed.set(name, performance.now());
+        onProgress(1);
+        AssetLoader.enforceTextureBudget();
+      })
+      .catch((error: unknown) => {
+        AssetLoader.bundleStatus.set(name, 'failed');
+        console.error(`Failed to load asset bundle ${name}:`, error);
+        throw error;
+      })
+      .finally(() => {
+        AssetLoader.pendingBundles.delete(name);
+      });
+
+    AssetLoader.pendingBundles.set(name, promise);
+    return promise;
+  }
+
+  private static async startBundleLoad(
+    name: string,
+    onProgress: LoadProgressCallback
+  ): Promise<unknown[]> {
+    // Reloading a bundle that is still being evicted would race Pixi's own unload
+    await AssetLoader.pendingUnloads.get(name);
+
+    const customBundle = AssetLoader.customBundles[name];
+    if (customBundle) {
+      return customBundle.load(onProgress);
+    }
+
+    await AssetLoader.loadManifest();
+    if (!AssetLoader.manifestBundles.has(name)) {
+      throw new Error(`Unknown asset bundle '${name}', add it to ${AssetLoader.MANIFEST_URL}`);
+    }
+    const assets = (await Assets.loadBundle(name, onProgress)) as Record<string, unknown>;
+    return Object.values(assets);
+  }
+
+  /**
+   * Marks bundles (and the bundles they depend on) as used by a live scene. Every call must be
+   * matched by releaseBundles once the scene is gone.
+   */
+  static acquireBundles(names: readonly string[]): void {
+    for (const name of names) {
+      AssetLoader.bundleRefs.set(name, (AssetLoader.bundleRefs.get(name) ?? 0) + 1);
+      AssetLoader.bundleLastUsed.set(name, performance.now());
+      AssetLoader.acquireBundles(AssetLoader.BUNDLE_DEPENDENCIES[name] ?? []);
+    }
+  }
+
+  /**
+   * Unused bundles stay loaded as a cache until the texture budget is exceeded; then the least
+   * recently used ones are unloaded first.
+   */
+  static releaseBundles(names: readonly string[]): void {
+    for (const name of names) {
+      const refs = (AssetLoader.bundleRefs.get(name) ?? 0) - 1;
+      if (refs < 0) {
+        console.warn(`Asset bundle '${name}' released more often than acquired`);
+      }
+      AssetLoader.bundleRefs.set(name, Math.max(0, refs));
+      AssetLoader.bundleLastUsed.set(name, performance.now());
+      AssetLoader.releaseBundles(AssetLoader.BUNDLE_DEPENDENCIES[name] ?? []);
+    }
+    AssetLoader.enforceTextureBudget();
+  }
+
+  /** The given bundles plus every bundle that depends on one of them. */
+  static getAffectedBundles(names: readonly string[]): Set<string> {
+    const affected = new Set(names);
+    for (const [name, dependencies] of Object.entries(AssetLoader.BUNDLE_DEPENDENCIES)) {
+      if (dependencies.some(dependency => affected.has(dependency))) {
+        affected.add(name);
+      }
+    }
+    return affected;
+  }
+
+  /**
+   * Drops bundles whose files changed on disk, together with the bundles depending on them, so
+   * the next loadBundle fetches them again. Used by dev-mode hot reload; scenes still using the
+   * bundles must be closed first.
+   */
+  static async invalidateBundles(names: readonly string[]): Promise<void> {
+    for (const name of AssetLoader.getAffectedBundles(names)) {
+      await AssetLoader.pendingBundles.get(name)?.catch(() => undefined);
+      if (AssetLoader.bundleAssets.has(name)) {
+        AssetLoader.unloadBundle(name);
+      }
+    }
+    await Promise.all(AssetLoader.pendingUnloads.values());
+  }
+
+  /** Estimated bytes loaded textures may take before unused bundles are evicted. */
+  static setTextureBudget(bytes: number): void {
+    AssetLoader.textureBudgetBytes = bytes;
+    AssetLoader.enforceTextureBudget();
+  }
+
+  /** Loaded bundles with their textures; a texture shared by two bundles is counted for both. */
+  static getTextureReport(): TextureReportEntry[] {
+    return [...AssetLoader.bundleAssets].map(([bundle, assets]) => {
+      const baseTextures = new Set<BaseTexture>();
+      for (const asset of assets) {
+        collectBaseTextures(asset, baseTextures);
+      }
+      const bytes = [...baseTextures].reduce((sum, base) => sum + estimateTextureBytes(base), 0);
+      return {
+        bundle,
+        refs: AssetLoader.bundleRefs.get(bundle) ?? 0,
+        textures: baseTextures.size,
+        bytes,
+      };
+    });
+  }
+
+  /** Estimated size of every loaded texture, each counted once. */
+  static getTextureBytes(): number {
+    let bytes = 0;
+    for (const base of AssetLoader.getLoadedBaseTextures()) {
+      bytes += estimateTextureBytes(base);
+    }
+    return bytes;
+  }
+
+  private static getLoadedBaseTextures(): Set<BaseTexture> {
+    const baseTextures = new Set<BaseTexture>();
+    for (const assets of AssetLoader.bundleAssets.values()) {
+      for (const asset of assets) {
+        collectBaseTextures(asset, baseTextures);
+      }
+    }
+    return baseTextures;
+  }
+
+  private static enforceTextureBudget(): void {
+    let bytes = AssetLoader.getTextureBytes();
+    if (bytes <= AssetLoader.textureBudgetBytes) {
+      return;
+    }
+
+    // Data-only bundles, such as dialogue translations, free nothing and stay loaded
+    const evictable = [...AssetLoader.bundleAssets.entries()]
+      .filter(
+        ([name, assets]) =>
+          !AssetLoader.PINNED_BUNDLES.has(name) &&
+          (AssetLoader.bundleRefs.get(name) ?? 0) === 0 &&
+          !AssetLoader.pendingBundles.has(name) &&
+          assets.some(asset => collectBaseTextures(asset).size > 0)
+      )
+      .map(([name]) => name)
+      .sort(
+        (a, b) =>
+          (AssetLoader.bundleLastUsed.get(a) ?? 0) - (AssetLoader.bundleLastUsed.get(b) ?? 0)
+      );
+
+    for (const name of evictable) {
+      if (bytes <= AssetLoader.textureBudgetBytes) {
+        break;
+      }
+      AssetLoader.unloadBundle(name);
+      bytes = AssetLoader.getTextureBytes();
+    }
+
+    if (bytes > AssetLoader.textureBudgetBytes) {
+      console.warn(
+        `Textures in use (${formatBytes(bytes)}) exceed the budget of ${formatBytes(AssetLoader.textureBudgetBytes)}`
+      );
+    }
+  }
+
+  private static unloadBundle(name: string): void {
+    AssetLoader.bundleAssets.delete(name);
+    AssetLoader.bundleStatus.set(name, 'idle');
+
+    const customBundle = AssetLoader.customBundles[name];
+    const unload = customBundle ? customBundle.unload() : Assets.unloadBundle(name);
+    const promise = unload
+      .catch((error: unknown) => {
+        console.error(`Failed to unload asset bundle ${name}:`, error);
+      })
+      .finally(() => {
+        AssetLoader.pendingUnloads.delete(name);
+      });
+    AssetLoader.pendingUnloads.set(name, promise);
   }
 
   static getTexture(name: string): Texture {
@@ -33,80 +408,81 @@ export class AssetLoader {
     return AssetLoader.textureCache.has(name) || Assets.cache.has(name);
   }
 
-  static async loadFont(name: string, fontPath: string, texturePath: string): Promise<void> {
-    try {
-      await Assets.load([
-        { alias: `${name}_texture`, src: texturePath },
-        { alias: name, src: fontPath },
-      ]);
-    } catch (error) {
-      console.error(`Failed to load bitmap font ${name}:`, error);
-      throw error;
-    }
+  /** Merged over the current policy; applies to every network load that starts afterwards. */
+  static setLoadPolicy(policy: Partial<LoadPolicy>): void {
+    AssetLoader.loadPolicy = { ...AssetLoader.loadPolicy, ...policy };
   }
 
-  static async loadAtlas(name: string, atlasPath: string): Promise<void> {
-    try {
-      await Assets.load({ alias: name, src: atlasPath });
-    } catch (error) {
-      console.error(`Failed to load texture atlas ${name}:`, error);
-      throw error;
-    }
+  static getLastLoadReport(): LoadReport | null {
+    return AssetLoader.lastLoadReport;
   }
 
-  static async loadEmojis(emojis: EmojiData[]): Promise<Map<string, Texture>> {
+  /** Called with the report of every Magic Words load, successful or not. */
+  static onLoadReport(listener: LoadReportListener): Unsubscribe {
+    AssetLoader.reportListeners.add(listener);
+    return () => {
+      AssetLoader.reportListeners.delete(listener);
+    };
+  }
+
+  /** Images that still fail after all retries get a placeholder and an entry in failures. */
+  static async loadEmojis(
+    emojis: EmojiData[],
+    failures: LoadFailure[] = []
+  ): Promise<Map<string, Texture>> {
     const emojiTextures = new Map<string, Texture>();
 
-    const loadPromises = emojis.map(async emoji => {
-      try {
-        const texture = await Assets.load<Texture>({
-          src: emoji.url,
-          loadParser: 'loadTextures',
-        });
-
-        emojiTextures.set(emoji.name, texture);
-        AssetLoader.textureCache.set(`emoji_${emoji.name}`, texture);
-      } catch (error) {
-        console.error(`Failed to load emoji texture for ${emoji.name} from ${emoji.url}:`, error);
-      }
+    await mapWithConcurrency(emojis, AssetLoader.loadPolicy.concurrency, async emoji => {
+      const texture = await AssetLoader.loadImage('emoji', emoji.name, emoji.url, failures);
+      emojiTextures.set(emoji.name, texture);
+      AssetLoader.textureCache.set(`emoji_${emoji.name}`, texture);
     });
 
-    await Promise.all(loadPromises);
-
     return emojiTextures;
   }
 
-  static async loadAvatars(avatars: AvatarData[]): Promise<Map<string, AvatarTexture>> {
+  static async loadAvatars(
+    avatars: AvatarData[],
+    failures: LoadFailure[] = []
+  ): Promise<Map<string, AvatarTexture>> {
     const avatarTextures = new Map<string, AvatarTexture>();
 
-    const texture = await Assets.load<Texture>('assets/images/default_avatar.png');
-    AssetLoader.textureCache.set('default_avatar', texture);
-
-    const loadPromises = avatars.map(async avatar => {
-      try {
-        const texture = await Assets.load<Texture>({
-          src: avatar.url,
-          loadParser: 'loadTextures',
-        });
-
-        avatarTextures.set(avatar.name, {
-          position: avatar.position,
-          texture,
-        });
-        AssetLoader.textureCache.set(`avatar_${avatar.name}`, texture);
-      } catch (error) {
-        console.error(
-          `Failed to load avatar texture for ${avatar.name} from ${avatar.url}:`,
-          error
-        );
-      }
+    await mapWithConcurrency(avatars, AssetLoader.loadPolicy.concurrency, async avatar => {
+      const texture = await AssetLoader.loadImage('avatar', avatar.name, avatar.url, failures);
+      avatarTextures.set(avatar.name, { position: avatar.position, texture });
+      AssetLoader.textureCache.set(`avatar_${avatar.name}`, texture);
     });
 
-    await Promise.all(loadPromises);
-
     return avatarTextures;
   }
 
+  private static async loadImage(
+    kind: PlaceholderKind,
+    name: string,
+    url: string,
+    failures: LoadFailure[]
+  ): Promise<Texture> {
+    // Entries sharing a URL share one request, as they would through Assets.load
+    let load = AssetLoader.imageLoads.get(url);
+    if (!load) {
+      load = fetchImageBitmap(url, AssetLoader.loadPolicy).then(
+        bitmap =>
+          new Texture(new BaseTexture(bitmap, { resourceOptions: { ownsImageBitmap: true } }))
+      );
+      AssetLoader.imageLoads.set(url, load);
+      load.catch(() => AssetLoader.imageLoads.delete(url));
+    }
+
+    try {
+      return await load;
+    } catch (error) {
+      console.error(`Failed to load ${kind} texture for ${name} from ${url}:`, error);
+      const reason = error instanceof Error ? error.message : String(error);
+      failures.push({ kind, name, url, reason });
+      return getPlaceholderTexture(kind);
+    }
+  }
+
   static getEmojiTexture(name: string): Texture | undefined {
     return AssetLoader.textureCache.get(`emoji_${name}`) ?? Assets.cache.get(`emoji_${name}`);
   }
@@ -115,37 +491,132 @@ export class AssetLoader {
     return AssetLoader.textureCache.get(`avatar_${name}`) ?? Assets.cache.get(`avatar_${name}`);
   }
 
-  static async loadMagicWordsAssets(): Promise<void> {
-    try {
-      // Fetch Magic Words data from API
-      const response = await fetch(
-        'https://private-624120-softgamesassignment.apiary-mock.com/v2/magicwords'
-      );
-      if (!response.ok) {
-        throw new Error(`Failed to fetch Magic Words data: ${response.status.toString()}`);
-      }
+  /**
+   * Chooses where Magic Words dialogue comes from. Only affects loads that have not happened
+   * yet; defaults to the remote API with the cached copy as fallback.
+   */
+  static setDialogueSource(source: DialogueSource): void {
+    AssetLoader.dialogueSource = source;
+  }
 
-      const data = (await response.json()) as MagicWordsData;
+  static async loadMagicWordsAssets(onProgress: LoadProgressCallback = () => {}): Promise<void> {
+    const source = (AssetLoader.dialogueSource ??= createDialogueSource());
+    const startedAt = performance.now();
+    const failures: LoadFailure[] = [];
+    let issues: ValidationIssue[] = [];
+    let loaded = 0;
 
-      if (data.dialogue.length === 0) {
-        throw new Error('No dialogue data found in API response');
-      }
+    try {
+      // Static files the dialogue needs regardless of the API payload, e.g. the default avatar
+      await AssetLoader.loadBundle('dialogue');
 
+      const result = await source.load(AssetLoader.loadPolicy, failure => failures.push(failure));
+      const data = result.data;
+      issues = result.issues;
+      if (issues.length > 0) {
+        console.warn(`Magic Words data has ${issues.length.toString()} issue(s)`);
+      }
       AssetLoader.magicWordsData = data;
+      onProgress(0.3);
 
-      await AssetLoader.loadEmojis(AssetLoader.magicWordsData.emojies);
+      await AssetLoader.loadEmojis(data.emojies, failures);
+      onProgress(0.6);
 
-      AssetLoader.avatarTextures = await AssetLoader.loadAvatars(
-        AssetLoader.magicWordsData.avatars
-      );
+      AssetLoader.avatarTextures = await AssetLoader.loadAvatars(data.avatars, failures);
+      const failedImages = failures.filter(failure => failure.kind !== 'dialogue').length;
+      loaded = data.emojies.length + data.avatars.length - failedImages;
     } catch (error) {
       console.error('Failed to load Magic Words assets:', error);
+      const reason = error instanceof Error ? error.message : String(error);
+      failures.push({ kind: 'dialogue', name: source.mode, reason });
+      if (error instanceof MagicWordsValidationError) {
+        issues = error.issues;
+      }
       throw error;
+    } finally {
+      AssetLoader.publishLoadReport({
+        source: source.mode,
+        loaded,
+        failures,
+        issues,
+        durationMS: performance.now() - startedAt,
+      });
+    }
+  }
+
+  private static publishLoadReport(report: LoadReport): void {
+    AssetLoader.lastLoadReport = report;
+    for (const listener of AssetLoader.reportListeners) {
+      listener(report);
+    }
+  }
+
+  private static getMagicWordsTextures(): Texture[] {
+    return [...AssetLoader.textureCache]
+      .filter(([key]) => key.startsWith('emoji_') || key.startsWith('avatar_'))
+      .map(([, texture]) => texture)
+      .filter(texture => !isPlaceholderTexture(texture));
+  }
+
+  /** Drops the payload and destroys its images; they are loaded outside Assets, see loadImage. */
+  private static unloadMagicWordsAssets(): Promise<void> {
+    const textures = new Set(AssetLoader.getMagicWordsTextures());
+    AssetLoader.magicWordsData = null;
+    AssetLoader.avatarTextures = null;
+    AssetLoader.imageLoads.clear();
+    for (const key of [...AssetLoader.textureCache.keys()]) {
+      if (key.startsWith('emoji_') || key.startsWith('avatar_')) {
+        AssetLoader.textureCache.delete(key);
+      }
     }
+
+    for (const texture of textures) {
+      texture.destroy(true);
+    }
+    return Promise.resolve();
   }
 
+  /** The Magic Words payload with its dialogue in the current locale where translated. */
   static getMagicWordsData(): MagicWordsData | null {
-    return AssetLoader.magicWordsData;
+    const data = AssetLoader.magicWordsData;
+    const translations = AssetLoader.getDialogueTranslations(Localization.getLocale());
+    return data && translations ? translateDialogue(data, translations) : data;
+  }
+
+  static getDialogueTranslationBundle(locale: string): string {
+    return `dialogue-${locale}`;
+  }
+
+  /**
+   * Loads a locale's dialogue translations from its dialogue-<locale> bundle. Locales without
+   * one keep the source lines, which getMissingDialogueTranslations then reports.
+   */
+  static async loadDialogueTranslations(locale: string): Promise<void> {
+    const bundle = AssetLoader.getDialogueTranslationBundle(locale);
+    await AssetLoader.loadManifest();
+    if (AssetLoader.manifestBundles.has(bundle)) {
+      await AssetLoader.loadBundle(bundle);
+    }
+  }
+
+  /** Untranslated lines of the loaded dialogue; empty until Magic Words has been loaded. */
+  static getMissingDialogueTranslations(locale: string): MissingTranslation[] {
+    const data = AssetLoader.magicWordsData;
+    if (!data || locale === Localization.DEFAULT_LOCALE) {
+      return [];
+    }
+    const translations = AssetLoader.getDialogueTranslations(locale) ?? { dialogue: {} };
+    return findMissingDialogueTranslations(data, translations, locale);
+  }
+
+  private static getDialogueTranslations(locale: string): DialogueTranslations | null {
+    if (
+      locale === Localization.DEFAULT_LOCALE ||
+      !AssetLoader.isBundleLoaded(AssetLoader.getDialogueTranslationBundle(locale))
+    ) {
+      return null;
+    }
+    return parseDialogueTranslations(Assets.get<unknown>(`magicWordsTranslation-${locale}`));
   }
 
   static getAllEmojiTextures(): Map<string, Texture> {
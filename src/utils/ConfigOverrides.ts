@@ -0,0 +1,82 @@
+import { MountOptions } from '../types';
+import { DIALOGUE_SOURCE_MODES, isDialogueSourceMode } from './DialogueSource';
+import { Localization } from './Localization';
+import { isScalingPolicy, SCALING_POLICIES } from './ScalingPolicy';
+
+/**
+ * Applies testing overrides from the query string, e.g. `?scaling=fit&textures=0.5&locale=es`.
+ * Invalid values are ignored with a warning so a typo never stops the game from starting.
+ */
+export function applyQueryOverrides(config: MountOptions, search: string): MountOptions {
+  const params = new URLSearchParams(search);
+  const result: MountOptions = { ...config };
+
+  const scaling = params.get('scaling');
+  if (scaling !== null) {
+    if (isScalingPolicy(scaling)) {
+      result.scalingPolicy = scaling;
+    } else {
+      console.warn(
+        `Unknown scaling policy "${scaling}", expected one of: ${SCALING_POLICIES.join(', ')}`
+      );
+    }
+  }
+
+  const width = parseDimension(params.get('width'), 'width');
+  if (width !== null) {
+    result.width = width;
+  }
+
+  const height = parseDimension(params.get('height'), 'height');
+  if (height !== null) {
+    result.height = height;
+  }
+
+  const textures = params.get('textures');
+  if (textures !== null) {
+    const resolution = Number(textures);
+    if (resolution > 0 && Number.isFinite(resolution)) {
+      result.textureResolution = resolution;
+    } else {
+      console.warn(`Ignoring invalid textures override "${textures}"`);
+    }
+  }
+
+  const dialogue = params.get('dialogue');
+  if (dialogue !== null) {
+    if (isDialogueSourceMode(dialogue)) {
+      result.dialogueSource = { ...config.dialogueSource, mode: dialogue };
+    } else {
+      console.warn(
+        `Unknown dialogue source "${dialogue}", expected one of: ${DIALOGUE_SOURCE_MODES.join(', ')}`
+      );
+    }
+  }
+
+  const locale = params.get('locale');
+  if (locale !== null) {
+    if (Localization.hasLocale(locale)) {
+      result.locale = locale;
+    } else {
+      console.warn(
+        `Unknown locale "${locale}", expected one of: ${Localization.getLocales().join(', ')}`
+      );
+    }
+  }
+
+  return result;
+}
+
+function parseDimension(value: string | null, name: string): number | null {
+  if (value === null) {
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    console.warn(`Ignoring invalid ${name} override "${value}"`);
+    return null;
+  }
+
+  return parsed;
+}
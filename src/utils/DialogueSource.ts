@@ -0,0 +1,175 @@
+import { Assets } from 'pixi.js';
+import {
+  DialogueSourceConfig,
+  DialogueSourceMode,
+  LoadFailure,
+  LoadPolicy,
+  MagicWordsData,
+  ValidationMode,
+} from '../types';
+import { AssetLoader } from './AssetLoader';
+import { ValidationResult, validateMagicWordsData } from './MagicWordsValidator';
+import { fetchJson } from './Network';
+
+export const DIALOGUE_SOURCE_MODES: readonly DialogueSourceMode[] = ['remote', 'fixture', 'cache'];
+
+export const DEFAULT_DIALOGUE_URL =
+  'https://private-624120-softgamesassignment.apiary-mock.com/v2/magicwords';
+
+export function isDialogueSourceMode(value: string): value is DialogueSourceMode {
+  return (DIALOGUE_SOURCE_MODES as readonly string[]).includes(value);
+}
+
+/**
+ * Provides the validated Magic Words payload. Implementations reject when they have nothing
+ * usable and report problems they recovered from, such as falling back to the cache.
+ */
+export interface DialogueSource {
+  readonly mode: DialogueSourceMode;
+  load(policy: LoadPolicy, onFailure: (failure: LoadFailure) => void): Promise<ValidationResult>;
+}
+
+interface StoredDialogue {
+  version: number;
+  savedAt: number;
+  data: MagicWordsData;
+}
+
+/**
+ * Keeps the last payload that loaded successfully in localStorage. Storage failures are logged
+ * and otherwise ignored, like in SceneStateStore.
+ */
+export class DialogueCache {
+  static readonly VERSION = 1;
+
+  private readonly storageKey: string;
+
+  constructor(storageKey = 'pixi7-demo:magic-words') {
+    this.storageKey = storageKey;
+  }
+
+  /** The stored payload, still to be validated; null when there is none. */
+  read(): unknown {
+    try {
+      const raw = window.localStorage.getItem(this.storageKey);
+      if (!raw) {
+        return null;
+      }
+
+      const stored = JSON.parse(raw) as Partial<StoredDialogue>;
+      if (stored.version !== DialogueCache.VERSION) {
+        return null;
+      }
+      return stored.data ?? null;
+    } catch (error) {
+      console.warn('Ignoring unreadable cached dialogue:', error);
+      return null;
+    }
+  }
+
+  write(data: MagicWordsData): void {
+    const stored: StoredDialogue = { version: DialogueCache.VERSION, savedAt: Date.now(), data };
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(stored));
+    } catch (error) {
+      console.warn('Failed to cache dialogue:', error);
+    }
+  }
+}
+
+/** Fetches the API and keeps a copy; when the network fails the last good copy is used. */
+export class RemoteDialogueSource implements DialogueSource {
+  readonly mode = 'remote';
+
+  private readonly url: string;
+  private readonly cache: DialogueCache;
+  private readonly validation: ValidationMode;
+
+  constructor(url: string, cache: DialogueCache, validation: ValidationMode) {
+    this.url = url;
+    this.cache = cache;
+    this.validation = validation;
+  }
+
+  async load(
+    policy: LoadPolicy,
+    onFailure: (failure: LoadFailure) => void
+  ): Promise<ValidationResult> {
+    try {
+      // An unusable payload is treated like a network failure, so the cache still helps
+      const result = validateMagicWordsData(await fetchJson(this.url, policy), this.validation);
+      this.cache.write(result.data);
+      return result;
+    } catch (error) {
+      const cached = this.cache.read();
+      if (cached === null) {
+        throw error;
+      }
+      console.warn('Magic Words API unavailable, using the last good copy:', error);
+      const reason = error instanceof Error ? error.message : String(error);
+      onFailure({ kind: 'dialogue', name: 'remote', url: this.url, reason: `${reason} (cached)` });
+      return validateMagicWordsData(cached, this.validation);
+    }
+  }
+}
+
+/** Reads the fixture shipped in the dialogueFixture bundle; works offline. */
+export class FixtureDialogueSource implements DialogueSource {
+  static readonly BUNDLE = 'dialogueFixture';
+  static readonly ALIAS = 'magicWordsFixture';
+
+  readonly mode = 'fixture';
+
+  private readonly validation: ValidationMode;
+
+  constructor(validation: ValidationMode) {
+    this.validation = validation;
+  }
+
+  async load(): Promise<ValidationResult> {
+    await AssetLoader.loadBundle(FixtureDialogueSource.BUNDLE);
+    return validateMagicWordsData(
+      Assets.get<unknown>(FixtureDialogueSource.ALIAS),
+      this.validation
+    );
+  }
+}
+
+/** Only replays the last good copy, e.g. to check the scene without hitting the API. */
+export class CachedDialogueSource implements DialogueSource {
+  readonly mode = 'cache';
+
+  private readonly cache: DialogueCache;
+  private readonly validation: ValidationMode;
+
+  constructor(cache: DialogueCache, validation: ValidationMode) {
+    this.cache = cache;
+    this.validation = validation;
+  }
+
+  load(): Promise<ValidationResult> {
+    // Deferred so a missing or invalid copy rejects instead of throwing synchronously
+    return Promise.resolve().then(() => {
+      const cached = this.cache.read();
+      if (cached === null) {
+        throw new Error('No cached Magic Words data yet');
+      }
+      return validateMagicWordsData(cached, this.validation);
+    });
+  }
+}
+
+export function createDialogueSource(
+  config: DialogueSourceConfig = { mode: 'remote' }
+): DialogueSource {
+  const cache = new DialogueCache();
+  const validation = config.validation ?? 'lenient';
+  switch (config.mode) {
+    case 'remote':
+      return new RemoteDialogueSource(config.url ?? DEFAULT_DIALOGUE_URL, cache, validation);
+    case 'fixture':
+      return new FixtureDialogueSource(validation);
+    case 'cache':
+      return new CachedDialogueSource(cache, validation);
+  }
+}
@@ -0,0 +1,58 @@
+import { DialogueTranslations, MagicWordsData, MissingTranslation } from '../types';
+
+const EMOJI_TOKEN = /\{[^}]+\}/g;
+
+/** Keeps the string-to-string entries of a translation file and ignores anything else. */
+export function parseDialogueTranslations(value: unknown): DialogueTranslations {
+  const dialogue: Record<string, string> = {};
+  const entries =
+    typeof value === 'object' && value !== null ? (value as { dialogue?: unknown }).dialogue : null;
+
+  if (typeof entries === 'object' && entries !== null) {
+    for (const [source, translated] of Object.entries(entries)) {
+      if (typeof translated === 'string' && translated.trim().length > 0) {
+        dialogue[source] = translated;
+      }
+    }
+  }
+  return { dialogue };
+}
+
+/**
+ * Swaps each line for its translation. Translations are keyed by the source line, so one file
+ * covers the fixture and the API alike, and untranslated lines stay in the source language.
+ */
+export function translateDialogue(
+  data: MagicWordsData,
+  translations: DialogueTranslations
+): MagicWordsData {
+  return {
+    ...data,
+    dialogue: data.dialogue.map(entry => ({
+      ...entry,
+      text: translations.dialogue[entry.text] ?? entry.text,
+    })),
+  };
+}
+
+/** Lines without a translation, and translations that lost or gained an emoji token. */
+export function findMissingDialogueTranslations(
+  data: MagicWordsData,
+  translations: DialogueTranslations,
+  locale: string
+): MissingTranslation[] {
+  const missing: MissingTranslation[] = [];
+  for (const source of new Set(data.dialogue.map(entry => entry.text))) {
+    const translated = translations.dialogue[source];
+    if (translated === undefined) {
+      missing.push({ locale, table: 'dialogue', key: source, reason: 'missing' });
+    } else if (emojiTokens(source) !== emojiTokens(translated)) {
+      missing.push({ locale, table: 'dialogue', key: source, reason: 'emoji tokens differ' });
+    }
+  }
+  return missing;
+}
+
+function emojiTokens(text: string): string {
+  return (text.match(EMOJI_TOKEN) ?? []).sort().join();
+}
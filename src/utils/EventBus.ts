@@ -0,0 +1,58 @@
+type EventArgs<T> = T extends undefined ? [] : [payload: T];
+
+export type EventHandler<T> = (...args: EventArgs<T>) => void;
+
+export type Unsubscribe = () => void;
+
+/**
+ * Minimal typed publish/subscribe. The Events map names every event and its payload type;
+ * events whose payload is `undefined` are emitted without an argument.
+ */
+export class EventBus<Events extends object> {
+  private handlers = new Map<keyof Events, Set<EventHandler<never>>>();
+
+  on<K extends keyof Events>(event: K, handler: EventHandler<Events[K]>): Unsubscribe {
+    let set = this.handlers.get(event);
+    if (!set) {
+      set = new Set();
+      this.handlers.set(event, set);
+    }
+    set.add(handler as EventHandler<never>);
+
+    return () => {
+      this.off(event, handler);
+    };
+  }
+
+  once<K extends keyof Events>(event: K, handler: EventHandler<Events[K]>): Unsubscribe {
+    const unsubscribe = this.on(event, ((...args: EventArgs<Events[K]>) => {
+      unsubscribe();
+      handler(...args);
+    }) as EventHandler<Events[K]>);
+    return unsubscribe;
+  }
+
+  off<K extends keyof Events>(event: K, handler: EventHandler<Events[K]>): void {
+    this.handlers.get(event)?.delete(handler as EventHandler<never>);
+  }
+
+  emit<K extends keyof Events>(event: K, ...args: EventArgs<Events[K]>): void {
+    const set = this.handlers.get(event);
+    if (!set) {
+      return;
+    }
+
+    // Copy so handlers can unsubscribe themselves while the event is being dispatched
+    for (const handler of Array.from(set)) {
+      try {
+        (handler as EventHandler<Events[K]>)(...args);
+      } catch (error) {
+        console.error(`Error in '${String(event)}' event handler:`, error);
+      }
+    }
+  }
+
+  clear(): void {
+    this.handlers.clear();
+  }
+}
@@ -0,0 +1,256 @@
+import { DialogueSeekable, GameEvents, Scene, SpeedAdjustable } from '../types';
+import { EventBus, Unsubscribe } from './EventBus';
+import { SceneRegistry } from '../scenes/SceneRegistry';
+import { Localization } from './Localization';
+
+export const HOST_PROTOCOL = 'pixi7-demo';
+export const HOST_PROTOCOL_VERSION = 1;
+
+/** Commands a host page may send. `id` is optional and echoed back on the reply. */
+export type HostCommand =
+  | { type: 'listScenes' }
+  | { type: 'switchScene'; sceneId: string }
+  | { type: 'pause' }
+  | { type: 'resume' }
+  | { type: 'setSpeed'; multiplier: number }
+  | { type: 'setDialogueIndex'; index: number }
+  | { type: 'setDebug'; enabled: boolean }
+  | { type: 'setLocale'; locale: string };
+
+export interface SceneInfo {
+  id: string;
+  displayName: string;
+  /** False after the scene failed, until it is opened successfully again. */
+  available: boolean;
+}
+
+/** Messages the game posts to the host: replies carry the command id, events have none. */
+export type GameMessage =
+  | { type: 'ready'; scenes: SceneInfo[] }
+  | { type: 'sceneList'; scenes: SceneInfo[] }
+  | { type: 'sceneChanged'; sceneId: string | null; sceneName: string }
+  | { type: 'ack' }
+  | { type: 'error'; message: string };
+
+interface Envelope {
+  protocol: typeof HOST_PROTOCOL;
+  version: number;
+  id?: string;
+}
+
+/** The part of GameManager the bridge drives. */
+export interface HostBridgeTarget {
+  readonly events: EventBus<GameEvents>;
+  switchToSceneById(sceneId: string): void;
+  pause(): void;
+  resume(): void;
+  setDebugMode(enabled: boolean): void;
+  setLocale(locale: string): Promise<void>;
+  getBaseScene(): Scene | null;
+  isSceneAvailable(sceneId: string): boolean;
+}
+
+/**
+ * postMessage protocol for hosts that embed the game in an iframe. Only messages the parent
+ * window sends from an allowed origin are read, and events are only ever posted to those origins.
+ */
+export class HostBridge {
+  private target: HostBridgeTarget;
+  private allowedOrigins: readonly string[];
+  private subscriptions: Unsubscribe[] = [];
+
+  private readonly onMessage = (event: MessageEvent): void => {
+    if (
+      event.source !== window.parent ||
+      !this.allowedOrigins.includes(event.origin) ||
+      !isEnvelope(event.data)
+    ) {
+      // Foreign messages (extensions, other frames, other protocols) are none of our business;
+      // only the embedding page may drive the game, even if a sibling shares its origin
+      return;
+    }
+
+    const id = typeof event.data.id === 'string' ? event.data.id : undefined;
+    try {
+      if (event.data.version !== HOST_PROTOCOL_VERSION) {
+        const expected = HOST_PROTOCOL_VERSION.toString();
+        throw new Error(
+          `Unsupported protocol version ${String(event.data.version)}, expected ${expected}`
+        );
+      }
+      const reply = this.execute(parseCommand(event.data));
+      this.post(reply, event.origin, id);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.post({ type: 'error', message }, event.origin, id);
+    }
+  };
+
+  constructor(target: HostBridgeTarget, allowedOrigins: readonly string[]) {
+    this.target = target;
+    this.allowedOrigins = allowedOrigins;
+  }
+
+  attach(): void {
+    window.addEventListener('message', this.onMessage);
+
+    this.subscriptions.push(
+      this.target.events.on('sceneChanged', ({ sceneId, sceneName }) => {
+        this.broadcast({ type: 'sceneChanged', sceneId, sceneName });
+      }),
+      this.target.events.on('sceneAvailabilityChanged', () => {
+        this.broadcast({ type: 'sceneList', scenes: this.listScenes() });
+      }),
+      this.target.events.on('sceneFailed', ({ sceneName, phase, message }) => {
+        this.broadcast({
+          type: 'error',
+          message: `${sceneName} failed during ${phase}: ${message}`,
+        });
+      })
+    );
+
+    this.broadcast({ type: 'ready', scenes: this.listScenes() });
+  }
+
+  detach(): void {
+    window.removeEventListener('message', this.onMessage);
+    for (const unsubscribe of this.subscriptions) {
+      unsubscribe();
+    }
+    this.subscriptions = [];
+  }
+
+  private execute(command: HostCommand): GameMessage {
+    switch (command.type) {
+      case 'listScenes':
+        return { type: 'sceneList', scenes: this.listScenes() };
+      case 'switchScene':
+        if (!SceneRegistry.has(command.sceneId)) {
+          throw new Error(`Unknown scene '${command.sceneId}'`);
+        }
+        this.target.switchToSceneById(command.sceneId);
+        return { type: 'ack' };
+      case 'pause':
+        this.target.pause();
+        return { type: 'ack' };
+      case 'resume':
+        this.target.resume();
+        return { type: 'ack' };
+      case 'setSpeed': {
+        const scene = this.target.getBaseScene();
+        if (!isSpeedAdjustable(scene)) {
+          throw new Error('The current scene has no adjustable speed');
+        }
+        scene.setSpeedMultiplier(command.multiplier);
+        return { type: 'ack' };
+      }
+      case 'setDialogueIndex': {
+        const scene = this.target.getBaseScene();
+        if (!isDialogueSeekable(scene)) {
+          throw new Error('The current scene has no dialogue');
+        }
+        scene.setDialogueIndex(command.index);
+        return { type: 'ack' };
+      }
+      case 'setDebug':
+        this.target.setDebugMode(command.enabled);
+        return { type: 'ack' };
+      case 'setLocale':
+        if (!Localization.hasLocale(command.locale)) {
+          throw new Error(`Unknown locale '${command.locale}'`);
+        }
+        void this.target.setLocale(command.locale);
+        return { type: 'ack' };
+    }
+  }
+
+  private listScenes(): SceneInfo[] {
+    return SceneRegistry.getAll().map(({ id, displayName }) => ({
+      id,
+      displayName,
+      available: this.target.isSceneAvailable(id),
+    }));
+  }
+
+  private broadcast(message: GameMessage): void {
+    // postMessage drops the message unless the parent is on the target origin
+    for (const origin of this.allowedOrigins) {
+      this.post(message, origin);
+    }
+  }
+
+  private post(message: GameMessage, origin: string, id?: string): void {
+    if (window.parent === window) {
+      return;
+    }
+
+    const envelope: Envelope = { protocol: HOST_PROTOCOL, version: HOST_PROTOCOL_VERSION };
+    if (id !== undefined) {
+      envelope.id = id;
+    }
+    window.parent.postMessage({ ...envelope, ...message }, origin);
+  }
+}
+
+function isEnvelope(data: unknown): data is Record<string, unknown> & Envelope {
+  return typeof data === 'object' && data !== null && (data as Envelope).protocol === HOST_PROTOCOL;
+}
+
+/** Validates an incoming message field by field; anything unexpected throws. */
+function parseCommand(data: Record<string, unknown>): HostCommand {
+  switch (data['type']) {
+    case 'listScenes':
+    case 'pause':
+    case 'resume':
+      return { type: data['type'] };
+    case 'switchScene':
+      return { type: 'switchScene', sceneId: requireString(data, 'sceneId') };
+    case 'setSpeed': {
+      const multiplier = requireNumber(data, 'multiplier');
+      if (multiplier <= 0) {
+        throw new Error('multiplier must be greater than 0');
+      }
+      return { type: 'setSpeed', multiplier };
+    }
+    case 'setDialogueIndex': {
+      const index = requireNumber(data, 'index');
+      if (!Number.isInteger(index) || index < 0) {
+        throw new Error('index must be a non-negative integer');
+      }
+      return { type: 'setDialogueIndex', index };
+    }
+    case 'setDebug':
+      if (typeof data['enabled'] !== 'boolean') {
+        throw new Error('enabled must be a boolean');
+      }
+      return { type: 'setDebug', enabled: data['enabled'] };
+    case 'setLocale':
+      return { type: 'setLocale', locale: requireString(data, 'locale') };
+    default:
+      throw new Error(`Unknown command type ${JSON.stringify(data['type'])}`);
+  }
+}
+
+function requireString(data: Record<string, unknown>, key: string): string {
+  const value = data[key];
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error(`${key} must be a non-empty string`);
+  }
+  return value;
+}
+
+function requireNumber(data: Record<string, unknown>, key: string): number {
+  const value = data[key];
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${key} must be a finite number`);
+  }
+  return value;
+}
+
+function isSpeedAdjustable(scene: Scene | null): scene is Scene & SpeedAdjustable {
+  return typeof (scene as Partial<SpeedAdjustable> | null)?.setSpeedMultiplier === 'function';
+}
+
+function isDialogueSeekable(scene: Scene | null): scene is Scene & DialogueSeekable {
+  return typeof (scene as Partial<DialogueSeekable> | null)?.setDialogueIndex === 'function';
+}
@@ -0,0 +1,181 @@
+import { Container, FederatedPointerEvent } from 'pixi.js';
+import { InputAction, InputBinding, InputBindings } from '../types';
+import { Unsubscribe } from './EventBus';
+
+export type InputActionHandler = (action: InputAction) => void;
+
+/**
+ * Maps keyboard keys, gamepad buttons and pointer taps to named actions. Bindings can be
+ * changed at runtime; listeners only ever see actions, never the raw events behind them.
+ */
+export class InputManager {
+  // Gamepad buttons use the standard mapping: 0 A, 1 B, 5 RB, 8 Back, 9 Start, 14/15 D-pad
+  static readonly DEFAULT_BINDINGS: Readonly<InputBindings> = {
+    advanceDialogue: { keys: ['Space', 'Enter', 'ArrowRight'], gamepadButtons: [0, 15] },
+    previousDialogue: { keys: ['ArrowLeft', 'Backspace'], gamepadButtons: [14] },
+    nextScene: { keys: ['KeyN'], gamepadButtons: [5] },
+    toggleDebug: { keys: ['Backquote'], gamepadButtons: [8] },
+    // Browsers only allow fullscreen from a key or pointer gesture, so no gamepad default
+    toggleFullscreen: { keys: ['KeyF'], gamepadButtons: [] },
+    pause: { keys: ['Escape', 'KeyP'], gamepadButtons: [9] },
+  };
+
+  private bindings: InputBindings = InputManager.cloneBindings(InputManager.DEFAULT_BINDINGS);
+  private handlers = new Set<InputActionHandler>();
+  private pressedButtons = new Map<number, boolean[]>();
+  private pointerTarget: Container | null = null;
+  private pointerAction: InputAction | null = null;
+  private keyboardTarget: Window | HTMLElement | null = null;
+
+  private readonly onKeyDown = (event: KeyboardEvent): void => {
+    if (event.repeat || event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+
+    const action = this.findAction(binding => binding.keys.includes(event.code));
+    if (action) {
+      // Keeps Space from scrolling and Backspace from navigating back
+      event.preventDefault();
+      this.trigger(action);
+    }
+  };
+
+  private readonly onPointerTap = (event: FederatedPointerEvent): void => {
+    // Taps on buttons and other interactive children are theirs, not an action
+    if (this.pointerAction && event.target === this.pointerTarget) {
+      this.trigger(this.pointerAction);
+    }
+  };
+
+  /**
+   * Starts listening for keys on the target. An element target only receives keys while it
+   * has focus, which keeps several games on one page from all reacting to the same key press.
+   */
+  attach(keyboardTarget: Window | HTMLElement = window): void {
+    if (this.keyboardTarget) {
+      return;
+    }
+    this.keyboardTarget = keyboardTarget;
+    keyboardTarget.addEventListener('keydown', this.onKeyDown as EventListener);
+  }
+
+  detach(): void {
+    this.keyboardTarget?.removeEventListener('keydown', this.onKeyDown as EventListener);
+    this.keyboardTarget = null;
+    this.pointerTarget?.off('pointertap', this.onPointerTap);
+    this.pointerTarget = null;
+    this.pointerAction = null;
+    this.pressedButtons.clear();
+  }
+
+  /** Turns taps that land directly on the target, not on one of its children, into an action. */
+  bindPointerTap(target: Container, action: InputAction): void {
+    this.pointerTarget?.off('pointertap', this.onPointerTap);
+    this.pointerTarget = target;
+    this.pointerAction = action;
+    target.on('pointertap', this.onPointerTap);
+  }
+
+  onAction(handler: InputActionHandler): Unsubscribe {
+    this.handlers.add(handler);
+    return () => {
+      this.handlers.delete(handler);
+    };
+  }
+
+  trigger(action: InputAction): void {
+    for (const handler of this.handlers) {
+      try {
+        handler(action);
+      } catch (error) {
+        console.error(`Error in handler for input action '${action}':`, error);
+      }
+    }
+  }
+
+  /** Polls connected gamepads; call once per frame. Only fresh presses trigger actions. */
+  update(): void {
+    if (!this.keyboardTarget || typeof navigator.getGamepads !== 'function') {
+      return;
+    }
+
+    // Gamepads are shared by the whole page, so an element-bound instance follows focus
+    const focused =
+      this.keyboardTarget === window ||
+      (this.keyboardTarget as HTMLElement).contains(document.activeElement);
+
+    for (const gamepad of navigator.getGamepads()) {
+      if (!gamepad) {
+        continue;
+      }
+
+      const previous = this.pressedButtons.get(gamepad.index) ?? [];
+      const current = gamepad.buttons.map(button => button.pressed);
+
+      current.forEach((pressed, buttonIndex) => {
+        if (!focused || !pressed || previous[buttonIndex]) {
+          return;
+        }
+        const action = this.findAction(binding => binding.gamepadButtons.includes(buttonIndex));
+        if (action) {
+          this.trigger(action);
+        }
+      });
+
+      this.pressedButtons.set(gamepad.index, current);
+    }
+  }
+
+  getBindings(): Readonly<InputBindings> {
+    return this.bindings;
+  }
+
+  /**
+   * Replaces the keys and/or gamepad buttons of an action. A key or button can only drive one
+   * action, so it is removed from any other action it was bound to.
+   */
+  rebind(action: InputAction, binding: Partial<InputBinding>): void {
+    const { keys, gamepadButtons } = binding;
+
+    for (const existing of Object.values(this.bindings)) {
+      if (keys) {
+        existing.keys = existing.keys.filter(key => !keys.includes(key));
+      }
+      if (gamepadButtons) {
+        existing.gamepadButtons = existing.gamepadButtons.filter(
+          button => !gamepadButtons.includes(button)
+        );
+      }
+    }
+
+    const target = this.bindings[action];
+    if (keys) {
+      target.keys = [...keys];
+    }
+    if (gamepadButtons) {
+      target.gamepadButtons = [...gamepadButtons];
+    }
+  }
+
+  resetBindings(): void {
+    this.bindings = InputManager.cloneBindings(InputManager.DEFAULT_BINDINGS);
+  }
+
+  private findAction(matches: (binding: InputBinding) => boolean): InputAction | null {
+    const entries = Object.entries(this.bindings) as [InputAction, InputBinding][];
+    for (const [action, binding] of entries) {
+      if (matches(binding)) {
+        return action;
+      }
+    }
+    return null;
+  }
+
+  private static cloneBindings(bindings: Readonly<InputBindings>): InputBindings {
+    const clone = {} as InputBindings;
+    for (const [action, binding] of Object.entries(bindings) as [InputAction, InputBinding][]) {
+      clone[action] = { keys: [...binding.keys], gamepadButtons: [...binding.gamepadButtons] };
+    }
+    return clone;
+  }
+}
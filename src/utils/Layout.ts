@@ -0,0 +1,119 @@
+import { DisplayObject, Point, Rectangle } from 'pixi.js';
+
+export type LayoutAnchor =
+  | 'top-left'
+  | 'top'
+  | 'top-right'
+  | 'left'
+  | 'center'
+  | 'right'
+  | 'bottom-left'
+  | 'bottom'
+  | 'bottom-right';
+
+/**
+ * Offset along one axis: `margin` pixels plus `percent` of the reference size, clamped to
+ * [min, max]. Offsets from an edge point inwards; offsets from the centre point right and down.
+ */
+export interface LayoutAxis {
+  margin?: number;
+  percent?: number;
+  min?: number;
+  max?: number;
+}
+
+export interface LayoutRule {
+  anchor: LayoutAnchor;
+  x?: LayoutAxis;
+  y?: LayoutAxis;
+  /** Defaults to the safe area, so pinned objects are never cropped. */
+  relativeTo?: 'screen' | 'safeArea';
+  /**
+   * Aligns the object's local bounds to the anchor, e.g. a bottom-right pin puts the bottom
+   * right corner there. Leave off for objects that are already anchored, like centred text.
+   */
+  alignBounds?: boolean;
+}
+
+const ANCHOR_FRACTIONS: Record<LayoutAnchor, readonly [number, number]> = {
+  'top-left': [0, 0],
+  top: [0.5, 0],
+  'top-right': [1, 0],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  'bottom-left': [0, 1],
+  bottom: [0.5, 1],
+  'bottom-right': [1, 1],
+};
+
+/** Keeps display objects pinned to the screen or safe area and re-flows them on every resize. */
+export class Layout {
+  private rules = new Map<DisplayObject, LayoutRule>();
+  private screen = new Rectangle();
+  private safeArea = new Rectangle();
+
+  pin(target: DisplayObject, rule: LayoutRule): void {
+    this.rules.set(target, rule);
+    this.apply(target, rule);
+  }
+
+  unpin(target: DisplayObject): void {
+    this.rules.delete(target);
+  }
+
+  update(screen: Rectangle, safeArea: Rectangle): void {
+    this.screen = screen;
+    this.safeArea = safeArea;
+
+    for (const [target, rule] of this.rules) {
+      if (target.destroyed) {
+        this.rules.delete(target);
+        continue;
+      }
+      this.apply(target, rule);
+    }
+  }
+
+  /** Resolves a rule to a point without pinning anything, for positions that are not objects. */
+  resolve(rule: LayoutRule): Point {
+    const area = rule.relativeTo === 'screen' ? this.screen : this.safeArea;
+    const [fractionX, fractionY] = ANCHOR_FRACTIONS[rule.anchor];
+
+    return new Point(
+      area.x + area.width * fractionX + this.resolveOffset(rule.x, area.width, fractionX),
+      area.y + area.height * fractionY + this.resolveOffset(rule.y, area.height, fractionY)
+    );
+  }
+
+  clear(): void {
+    this.rules.clear();
+  }
+
+  private apply(target: DisplayObject, rule: LayoutRule): void {
+    const point = this.resolve(rule);
+
+    if (rule.alignBounds) {
+      const [fractionX, fractionY] = ANCHOR_FRACTIONS[rule.anchor];
+      const bounds = target.getLocalBounds();
+      point.x -= bounds.x + bounds.width * fractionX;
+      point.y -= bounds.y + bounds.height * fractionY;
+    }
+
+    target.position.copyFrom(point);
+  }
+
+  private resolveOffset(axis: LayoutAxis | undefined, size: number, fraction: number): number {
+    if (!axis) {
+      return 0;
+    }
+
+    const offset = Math.min(
+      axis.max ?? Infinity,
+      Math.max(axis.min ?? -Infinity, (axis.margin ?? 0) + (axis.percent ?? 0) * size)
+    );
+
+    // Far edges measure inwards, so the offset is flipped to point back into the area
+    return fraction === 1 ? -offset : offset;
+  }
+}
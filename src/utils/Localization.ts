@@ -0,0 +1,184 @@
+import { BitmapFont, BitmapText } from 'pixi.js';
+import { MissingTranslation, PluralForms, TranslationParams } from '../types';
+import { DEFAULT_LOCALE, LOCALE_TABLES } from '../locales';
+import { Unsubscribe } from './EventBus';
+
+type LocaleListener = (locale: string) => void;
+
+interface TextBinding {
+  key: string;
+  params: TranslationParams;
+  onUpdate: ((text: BitmapText) => void) | undefined;
+}
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * String tables for the UI. Like AssetLoader's settings the locale is shared by every game on
+ * the page. Texts registered with bind() are re-rendered when it changes; everything else
+ * listens through onLocaleChange.
+ */
+export class Localization {
+  static readonly DEFAULT_LOCALE = DEFAULT_LOCALE;
+
+  private static locale = DEFAULT_LOCALE;
+  private static pluralRules = new Map<string, Intl.PluralRules>();
+  private static bindings = new Map<BitmapText, TextBinding>();
+  private static listeners = new Set<LocaleListener>();
+
+  static getLocale(): string {
+    return Localization.locale;
+  }
+
+  static getLocales(): string[] {
+    return Object.keys(LOCALE_TABLES);
+  }
+
+  static hasLocale(locale: string): boolean {
+    return locale in LOCALE_TABLES;
+  }
+
+  /** Switches every bound text over at once; unknown locales are ignored with a warning. */
+  static setLocale(locale: string): void {
+    if (!Localization.hasLocale(locale)) {
+      console.warn(
+        `Unknown locale '${locale}', expected one of: ${Localization.getLocales().join(', ')}`
+      );
+      return;
+    }
+    if (locale === Localization.locale) {
+      return;
+    }
+
+    Localization.locale = locale;
+    for (const [text, binding] of Localization.bindings) {
+      Localization.apply(text, binding);
+    }
+    for (const listener of Localization.listeners) {
+      listener(locale);
+    }
+  }
+
+  static onLocaleChange(listener: LocaleListener): Unsubscribe {
+    Localization.listeners.add(listener);
+    return () => {
+      Localization.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * The string for an id in the current locale, falling back to English and then to the id
+   * itself so a missing entry is visible instead of blank.
+   */
+  static t(key: string, params: TranslationParams = {}): string {
+    const entry = LOCALE_TABLES[Localization.locale]?.[key] ?? LOCALE_TABLES[DEFAULT_LOCALE]?.[key];
+    if (entry === undefined) {
+      return key;
+    }
+
+    const template =
+      typeof entry === 'string' ? entry : Localization.selectPlural(entry, params['count']);
+    return template.replace(PLACEHOLDER, (match, name: string) => {
+      const value = params[name];
+      return value === undefined ? match : String(value);
+    });
+  }
+
+  /**
+   * Shows a string on a text and keeps it translated until the text is destroyed or unbound.
+   * Binding a text again replaces its previous string. onUpdate runs after every change, e.g.
+   * to re-center a label whose width changed.
+   */
+  static bind(
+    text: BitmapText,
+    key: string,
+    params: TranslationParams = {},
+    onUpdate?: (text: BitmapText) => void
+  ): void {
+    if (!Localization.bindings.has(text)) {
+      text.once('destroyed', () => {
+        Localization.bindings.delete(text);
+      });
+    }
+    const binding = { key, params, onUpdate };
+    Localization.bindings.set(text, binding);
+    Localization.apply(text, binding);
+  }
+
+  static unbind(text: BitmapText): void {
+    Localization.bindings.delete(text);
+  }
+
+  /**
+   * Ids present in the English table but absent from a locale, plus plural entries lacking a
+   * form the locale's plural rules can select. A plain string is valid for any count.
+   */
+  static getMissingTranslations(locale: string): MissingTranslation[] {
+    const reference = LOCALE_TABLES[DEFAULT_LOCALE] ?? {};
+    const table = LOCALE_TABLES[locale] ?? {};
+    const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+    const missing: MissingTranslation[] = [];
+
+    for (const key of Object.keys(reference)) {
+      const entry = table[key];
+      if (entry === undefined) {
+        missing.push({ locale, table: 'ui', key, reason: 'missing' });
+      } else if (typeof entry !== 'string') {
+        for (const category of categories) {
+          if (entry[category] === undefined) {
+            missing.push({ locale, table: 'ui', key, reason: `no '${category}' form` });
+          }
+        }
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Characters a locale's strings need that a bitmap font cannot draw; BitmapText silently
+   * skips them. Extra strings, such as translated dialogue, are checked along with the table.
+   */
+  static findMissingGlyphs(
+    locale: string,
+    extraStrings: readonly string[] = [],
+    fontName = 'MonospaceBold'
+  ): string[] {
+    const font = BitmapFont.available[fontName];
+    if (!font) {
+      return [];
+    }
+
+    const strings = Object.values(LOCALE_TABLES[locale] ?? {}).flatMap(entry =>
+      typeof entry === 'string' ? [entry] : Object.values(entry)
+    );
+    const missing = new Set<string>();
+    for (const value of [...strings, ...extraStrings]) {
+      for (const char of value.replace(PLACEHOLDER, '')) {
+        const code = char.codePointAt(0) ?? 0;
+        // Line breaks are layout, not glyphs
+        if (char !== '\n' && !font.chars[code]) {
+          missing.add(char);
+        }
+      }
+    }
+    return [...missing];
+  }
+
+  private static apply(text: BitmapText, binding: TextBinding): void {
+    text.text = Localization.t(binding.key, binding.params);
+    binding.onUpdate?.(text);
+  }
+
+  private static selectPlural(forms: PluralForms, count: string | number | undefined): string {
+    if (typeof count !== 'number') {
+      return forms.other;
+    }
+
+    let rules = Localization.pluralRules.get(Localization.locale);
+    if (!rules) {
+      rules = new Intl.PluralRules(Localization.locale);
+      Localization.pluralRules.set(Localization.locale, rules);
+    }
+    return forms[rules.select(count)] ?? forms.other;
+  }
+}
@@ -0,0 +1,191 @@
+import {
+  AvatarData,
+  DialogueEntry,
+  EmojiData,
+  MagicWordsData,
+  ValidationIssue,
+  ValidationMode,
+} from '../types';
+
+export interface ValidationResult {
+  data: MagicWordsData;
+  issues: ValidationIssue[];
+}
+
+/** Thrown when nothing usable is left, e.g. the payload is not an object or has no dialogue. */
+export class MagicWordsValidationError extends Error {
+  readonly issues: ValidationIssue[];
+
+  constructor(message: string, issues: ValidationIssue[]) {
+    super(message);
+    this.name = 'MagicWordsValidationError';
+    this.issues = issues;
+  }
+}
+
+type ItemParser<T> = (item: Record<string, unknown>, path: string) => T | null;
+
+const EMOJI_TOKEN = /\{([^}]+)\}/g;
+
+/**
+ * Checks an untrusted Magic Words payload item by item, so a single bad entry never reaches
+ * DialogueComponent. Every problem is collected with its path instead of stopping at the first.
+ */
+export function validateMagicWordsData(
+  value: unknown,
+  mode: ValidationMode = 'lenient'
+): ValidationResult {
+  const validator = new Validator(mode);
+  const data = validator.validate(value);
+  return { data, issues: validator.issues };
+}
+
+class Validator {
+  readonly issues: ValidationIssue[] = [];
+  private readonly lenient: boolean;
+  private knownEmojis = new Set<string>();
+
+  constructor(mode: ValidationMode) {
+    this.lenient = mode === 'lenient';
+  }
+
+  validate(value: unknown): MagicWordsData {
+    if (!isRecord(value)) {
+      throw new MagicWordsValidationError('Magic Words data is not an object', this.issues);
+    }
+
+    const emojies = this.uniqueByName(this.list(value, 'emojies', this.emoji), '$.emojies');
+    const avatars = this.uniqueByName(this.list(value, 'avatars', this.avatar), '$.avatars');
+    // Emojis go first so dialogue tokens can be checked against them
+    this.knownEmojis = new Set(emojies.map(emoji => emoji.name));
+    const dialogue = this.list(value, 'dialogue', this.entry);
+
+    if (dialogue.length === 0) {
+      throw new MagicWordsValidationError('No valid dialogue entries', this.issues);
+    }
+
+    return { dialogue, emojies, avatars };
+  }
+
+  private list<T>(data: Record<string, unknown>, key: string, parse: ItemParser<T>): T[] {
+    const path = `$.${key}`;
+    const items = data[key];
+
+    if (!Array.isArray(items)) {
+      const problem = items === undefined ? 'missing' : 'expected an array';
+      this.report(path, `${problem}, treating as empty`, this.lenient ? 'repaired' : 'dropped');
+      return [];
+    }
+
+    const result: T[] = [];
+    items.forEach((item: unknown, index) => {
+      const itemPath = `${path}[${index.toString()}]`;
+      if (!isRecord(item)) {
+        this.report(itemPath, 'expected an object', 'dropped');
+        return;
+      }
+      const parsed = parse.call(this, item, itemPath);
+      if (parsed) {
+        result.push(parsed);
+      }
+    });
+    return result;
+  }
+
+  private entry(item: Record<string, unknown>, path: string): DialogueEntry | null {
+    const name = this.string(item, 'name', path, 'Unknown');
+    const text = this.string(item, 'text', path, null);
+    if (name === null || text === null) {
+      return null;
+    }
+
+    this.flagUnknownEmojis(text, `${path}.text`);
+    return { name, text };
+  }
+
+  private emoji(item: Record<string, unknown>, path: string): EmojiData | null {
+    // Without a name or url there is nothing sensible to repair an emoji into
+    const name = this.string(item, 'name', path, null);
+    const url = this.string(item, 'url', path, null);
+    return name === null || url === null ? null : { name, url };
+  }
+
+  private avatar(item: Record<string, unknown>, path: string): AvatarData | null {
+    const name = this.string(item, 'name', path, null);
+    const url = this.string(item, 'url', path, null);
+    if (name === null || url === null) {
+      return null;
+    }
+
+    const position = item['position'];
+    if (position === 'left' || position === 'right') {
+      return { name, url, position };
+    }
+    if (this.lenient) {
+      this.report(`${path}.position`, `expected 'left' or 'right', using 'left'`, 'repaired');
+      return { name, url, position: 'left' };
+    }
+    this.report(`${path}.position`, `expected 'left' or 'right'`, 'dropped');
+    return null;
+  }
+
+  /**
+   * Reads a non-empty string. Lenient mode turns numbers and booleans into strings and falls
+   * back to the given default when the field is missing; otherwise the item is dropped.
+   */
+  private string(
+    item: Record<string, unknown>,
+    key: string,
+    path: string,
+    fallback: string | null
+  ): string | null {
+    const value = item[key];
+    const fieldPath = `${path}.${key}`;
+
+    if (typeof value === 'string' && value.trim().length > 0) {
+      return value;
+    }
+    if (this.lenient && (typeof value === 'number' || typeof value === 'boolean')) {
+      this.report(fieldPath, `expected a string, got ${typeof value}`, 'repaired');
+      return String(value);
+    }
+    if (this.lenient && fallback !== null) {
+      this.report(fieldPath, `missing or empty, using '${fallback}'`, 'repaired');
+      return fallback;
+    }
+
+    const problem = value === undefined ? 'missing' : 'expected a non-empty string';
+    this.report(fieldPath, problem, 'dropped');
+    return null;
+  }
+
+  /** Renderers look items up by name, so a later duplicate would silently shadow the first. */
+  private uniqueByName<T extends { name: string }>(items: T[], path: string): T[] {
+    const seen = new Set<string>();
+    return items.filter(item => {
+      if (seen.has(item.name)) {
+        this.report(path, `duplicate name '${item.name}', keeping the first`, 'dropped');
+        return false;
+      }
+      seen.add(item.name);
+      return true;
+    });
+  }
+
+  private flagUnknownEmojis(text: string, path: string): void {
+    for (const match of text.matchAll(EMOJI_TOKEN)) {
+      const token = match[1] ?? '';
+      if (!this.knownEmojis.has(token)) {
+        this.report(path, `{${token}} does not match any emoji`, 'flagged');
+      }
+    }
+  }
+
+  private report(path: string, message: string, outcome: ValidationIssue['outcome']): void {
+    this.issues.push({ path, message, outcome });
+  }
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,105 @@
+import { LoadPolicy } from '../types';
+
+export const DEFAULT_LOAD_POLICY: Readonly<LoadPolicy> = {
+  timeoutMS: 10000,
+  retries: 2,
+  retryDelayMS: 500,
+  maxRetryDelayMS: 4000,
+  concurrency: 4,
+};
+
+export class TimeoutError extends Error {
+  constructor(timeoutMS: number) {
+    super(`Timed out after ${timeoutMS.toString()}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Rejects with a TimeoutError once the time is up. The signal is aborted at the same moment,
+ * so tasks that accept one (fetch) stop as well; the others are simply no longer waited for.
+ */
+export function withTimeout<T>(
+  task: (signal: AbortSignal) => Promise<T>,
+  timeoutMS: number
+): Promise<T> {
+  const controller = new AbortController();
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(timeoutMS));
+    }, timeoutMS);
+  });
+
+  return Promise.race([task(controller.signal), timeout]).finally(() => {
+    clearTimeout(timer);
+  });
+}
+
+/**
+ * Runs the task until it succeeds, waiting twice as long before each retry up to
+ * maxRetryDelayMS. Every attempt gets its own timeout. The last error is rethrown.
+ */
+export async function withRetry<T>(
+  task: (signal: AbortSignal) => Promise<T>,
+  policy: LoadPolicy
+): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(task, policy.timeoutMS);
+    } catch (error) {
+      if (attempt >= policy.retries) {
+        throw error;
+      }
+      const delay = Math.min(policy.retryDelayMS * 2 ** attempt, policy.maxRetryDelayMS);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/** Like Promise.all over items.map(worker), but with at most `limit` workers in flight. */
+export async function mapWithConcurrency<T, R>(
+  items: readonly T[],
+  limit: number,
+  worker: (item: T) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array<R>(items.length);
+  let next = 0;
+
+  const run = async (): Promise<void> => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index] as T);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run);
+  await Promise.all(workers);
+  return results;
+}
+
+export async function fetchJson(url: string, policy: LoadPolicy): Promise<unknown> {
+  return withRetry(async signal => {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status.toString()} from ${url}`);
+    }
+    return (await response.json()) as unknown;
+  }, policy);
+}
+
+/**
+ * Fetches and decodes an image. Unlike Assets.load, a timed-out attempt is aborted and the
+ * retry makes a new request instead of waiting on the old one again.
+ */
+export async function fetchImageBitmap(url: string, policy: LoadPolicy): Promise<ImageBitmap> {
+  return withRetry(async signal => {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status.toString()} from ${url}`);
+    }
+    return createImageBitmap(await response.blob());
+  }, policy);
+}
@@ -0,0 +1,50 @@
+import { Texture } from 'pixi.js';
+
+export type PlaceholderKind = 'emoji' | 'avatar';
+
+const SIZE: Record<PlaceholderKind, number> = { emoji: 64, avatar: 128 };
+const placeholders = new Map<PlaceholderKind, Texture>();
+
+/**
+ * A magenta checkerboard with a question mark, drawn once per kind. Deliberately ugly so a
+ * missing emoji or avatar is obvious instead of silently rendering as a gap.
+ */
+export function getPlaceholderTexture(kind: PlaceholderKind): Texture {
+  let texture = placeholders.get(kind);
+  if (!texture) {
+    texture = Texture.from(drawPlaceholder(SIZE[kind]));
+    placeholders.set(kind, texture);
+  }
+  return texture;
+}
+
+export function isPlaceholderTexture(texture: Texture): boolean {
+  return [...placeholders.values()].includes(texture);
+}
+
+function drawPlaceholder(size: number): HTMLCanvasElement {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return canvas;
+  }
+
+  const cell = size / 4;
+  for (let row = 0; row < 4; row++) {
+    for (let column = 0; column < 4; column++) {
+      context.fillStyle = (row + column) % 2 === 0 ? '#ff00ff' : '#200020';
+      context.fillRect(column * cell, row * cell, cell, cell);
+    }
+  }
+
+  context.fillStyle = '#ffffff';
+  context.font = `bold ${Math.round(size * 0.6).toString()}px monospace`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText('?', size / 2, size / 2);
+
+  return canvas;
+}
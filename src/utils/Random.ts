@@ -0,0 +1,80 @@
+/**
+ * Seeded pseudo-random numbers (mulberry32). Every subsystem draws from its own named stream
+ * so adding a random call in one place does not shift the sequence seen by another.
+ */
+export class RandomStream {
+  private state: number;
+
+  constructor(seed: number) {
+    this.state = seed >>> 0;
+  }
+
+  /** Uniform float in [0, 1), a drop-in replacement for Math.random(). */
+  next(): number {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min: number, max: number): number {
+    return min + this.next() * (max - min);
+  }
+
+  /** Integer in [min, max], both inclusive. */
+  int(min: number, max: number): number {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  pick<T>(items: readonly T[]): T | undefined {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+export class RandomService {
+  private currentSeed: number;
+
+  constructor(seed: number = RandomService.generateSeed()) {
+    this.currentSeed = seed >>> 0;
+  }
+
+  get seed(): number {
+    return this.currentSeed;
+  }
+
+  setSeed(seed: number): void {
+    this.currentSeed = seed >>> 0;
+  }
+
+  /**
+   * Returns a fresh stream for the named subsystem. The same seed and name always produce
+   * the same sequence, so a scene that asks for its streams on creation replays identically.
+   */
+  stream(name: string): RandomStream {
+    return new RandomStream(this.currentSeed ^ RandomService.hashString(name));
+  }
+
+  static generateSeed(): number {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /** Accepts a numeric seed or any string, so shared links can use readable seeds. */
+  static parseSeed(value: string): number {
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) {
+      return Number(trimmed) >>> 0;
+    }
+    return RandomService.hashString(trimmed);
+  }
+
+  // FNV-1a
+  private static hashString(value: string): number {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
@@ -0,0 +1,98 @@
+import { Rectangle } from 'pixi.js';
+import { ScalingPolicy, Viewport } from '../types';
+
+export const SCALING_POLICIES: readonly ScalingPolicy[] = [
+  'fixedHeight',
+  'fixedWidth',
+  'fit',
+  'fill',
+  'pixelPerfect',
+];
+
+export function isScalingPolicy(value: string): value is ScalingPolicy {
+  return (SCALING_POLICIES as readonly string[]).includes(value);
+}
+
+/**
+ * Maps the design resolution onto a container of the given size. The virtual size is what the
+ * renderer and scenes see; the css size and offset place the canvas inside the container. The
+ * safe area is the part of the virtual screen that is actually visible, in virtual pixels.
+ */
+export function computeViewport(
+  policy: ScalingPolicy,
+  designWidth: number,
+  designHeight: number,
+  containerWidth: number,
+  containerHeight: number
+): Viewport {
+  const aspectRatio = containerWidth / containerHeight;
+
+  switch (policy) {
+    case 'fixedHeight': {
+      const virtualWidth = Math.ceil(designHeight * aspectRatio);
+      return stretched(virtualWidth, designHeight, containerWidth, containerHeight);
+    }
+    case 'fixedWidth': {
+      const virtualHeight = Math.ceil(designWidth / aspectRatio);
+      return stretched(designWidth, virtualHeight, containerWidth, containerHeight);
+    }
+    case 'fit': {
+      const scale = Math.min(containerWidth / designWidth, containerHeight / designHeight);
+      return scaled(scale, designWidth, designHeight, containerWidth, containerHeight);
+    }
+    case 'fill': {
+      const scale = Math.max(containerWidth / designWidth, containerHeight / designHeight);
+      return scaled(scale, designWidth, designHeight, containerWidth, containerHeight);
+    }
+    case 'pixelPerfect': {
+      const fitScale = Math.min(containerWidth / designWidth, containerHeight / designHeight);
+      // Containers smaller than the design cannot be scaled by a whole number, so fall back to fit
+      const scale = fitScale >= 1 ? Math.floor(fitScale) : fitScale;
+      return scaled(scale, designWidth, designHeight, containerWidth, containerHeight);
+    }
+  }
+}
+
+function stretched(
+  virtualWidth: number,
+  virtualHeight: number,
+  containerWidth: number,
+  containerHeight: number
+): Viewport {
+  return {
+    virtualWidth,
+    virtualHeight,
+    cssWidth: containerWidth,
+    cssHeight: containerHeight,
+    offsetX: 0,
+    offsetY: 0,
+    safeArea: new Rectangle(0, 0, virtualWidth, virtualHeight),
+  };
+}
+
+function scaled(
+  scale: number,
+  designWidth: number,
+  designHeight: number,
+  containerWidth: number,
+  containerHeight: number
+): Viewport {
+  const cssWidth = Math.round(designWidth * scale);
+  const cssHeight = Math.round(designHeight * scale);
+  const offsetX = Math.round((containerWidth - cssWidth) / 2);
+  const offsetY = Math.round((containerHeight - cssHeight) / 2);
+
+  // Negative offsets mean the canvas overflows the container and the edges are cropped
+  const cropX = Math.max(0, -offsetX) / scale;
+  const cropY = Math.max(0, -offsetY) / scale;
+
+  return {
+    virtualWidth: designWidth,
+    virtualHeight: designHeight,
+    cssWidth,
+    cssHeight,
+    offsetX,
+    offsetY,
+    safeArea: new Rectangle(cropX, cropY, designWidth - cropX * 2, designHeight - cropY * 2),
+  };
+}
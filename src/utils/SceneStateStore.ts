@@ -0,0 +1,78 @@
+interface StoredSceneStates {
+  version: number;
+  scenes: Record<string, unknown>;
+}
+
+/**
+ * Persists scene snapshots in localStorage under a single versioned key. Bumping VERSION
+ * discards everything saved by older builds instead of feeding scenes a shape they no
+ * longer understand. Storage failures (private mode, quota) are logged and otherwise ignored.
+ */
+export class SceneStateStore {
+  static readonly VERSION = 1;
+
+  private readonly storageKey: string;
+
+  constructor(storageKey = 'pixi7-demo:scene-state') {
+    this.storageKey = storageKey;
+  }
+
+  load(sceneId: string): unknown {
+    return this.read().scenes[sceneId];
+  }
+
+  save(sceneId: string, state: unknown): void {
+    const stored = this.read();
+    stored.scenes[sceneId] = state;
+    this.write(stored);
+  }
+
+  remove(sceneId: string): void {
+    const stored = this.read();
+    if (sceneId in stored.scenes) {
+      delete stored.scenes[sceneId];
+      this.write(stored);
+    }
+  }
+
+  clear(): void {
+    try {
+      window.localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn('Failed to clear saved scene state:', error);
+    }
+  }
+
+  private read(): StoredSceneStates {
+    const empty: StoredSceneStates = { version: SceneStateStore.VERSION, scenes: {} };
+
+    try {
+      const raw = window.localStorage.getItem(this.storageKey);
+      if (!raw) {
+        return empty;
+      }
+
+      const parsed = JSON.parse(raw) as Partial<StoredSceneStates>;
+      if (
+        parsed.version !== SceneStateStore.VERSION ||
+        typeof parsed.scenes !== 'object' ||
+        parsed.scenes === null
+      ) {
+        return empty;
+      }
+
+      return { version: parsed.version, scenes: parsed.scenes };
+    } catch (error) {
+      console.warn('Failed to read saved scene state, starting fresh:', error);
+      return empty;
+    }
+  }
+
+  private write(stored: StoredSceneStates): void {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(stored));
+    } catch (error) {
+      console.warn('Failed to save scene state:', error);
+    }
+  }
+}
@@ -0,0 +1,36 @@
+import { BaseTexture, BitmapFont, Spritesheet, Texture } from 'pixi.js';
+
+/**
+ * The GPU textures behind a loaded asset: a texture, every page of a (multi-pack) spritesheet,
+ * or the pages of a bitmap font. Anything else, e.g. JSON data, has none.
+ */
+export function collectBaseTextures(
+  asset: unknown,
+  into = new Set<BaseTexture>()
+): Set<BaseTexture> {
+  if (asset instanceof Texture) {
+    into.add(asset.baseTexture);
+  } else if (asset instanceof Spritesheet) {
+    into.add(asset.baseTexture);
+    for (const linked of asset.linkedSheets) {
+      into.add(linked.baseTexture);
+    }
+  } else if (asset instanceof BitmapFont) {
+    for (const page of Object.values(asset.pageTextures)) {
+      into.add(page.baseTexture);
+    }
+  }
+  return into;
+}
+
+/** Uncompressed RGBA size; mipmaps and driver padding are not counted. */
+export function estimateTextureBytes(baseTexture: BaseTexture): number {
+  return baseTexture.valid ? baseTexture.realWidth * baseTexture.realHeight * 4 : 0;
+}
+
+export function formatBytes(bytes: number): string {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  }
+  return `${Math.round(bytes / 1024).toString()}KB`;
+}
@@ -1,9 +1,25 @@
 const path = require('path');
+const { DefinePlugin } = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 
+// Parent pages allowed to drive an embedded build over postMessage, comma separated, e.g.
+// `HOST_ORIGINS=https://portal.example.com npm run build`. None leaves the host bridge off.
+function getHostOrigins(env) {
+	const value = env.hostOrigins ?? process.env.HOST_ORIGINS ?? '';
+	const origins = value.split(',').map(origin => origin.trim()).filter(Boolean);
+	for (const origin of origins) {
+		// Messages carry the bare origin, so a path or trailing slash would never match
+		if (new URL(origin).origin !== origin) {
+			throw new Error(`Invalid host origin '${origin}', expected e.g. https://portal.example.com`);
+		}
+	}
+	return origins;
+}
+
 module.exports = (env, argv) => {
 	const isProduction = argv.mode === 'production';
+	const isDevServer = Boolean(env.WEBPACK_SERVE);
 
 	return {
 		entry: './src/index.ts',
@@ -44,6 +60,12 @@ module.exports = (env, argv) => {
 		},
 
 		plugins: [
+			new DefinePlugin({
+				__DEV__: JSON.stringify(!isProduction),
+				// Lets the game subscribe to atlas and dialogue changes, see scripts/assetHotReload.js
+				__ASSET_HOT_RELOAD__: JSON.stringify(isDevServer && !isProduction),
+				__HOST_ORIGINS__: JSON.stringify(getHostOrigins(env)),
+			}),
 			new HtmlWebpackPlugin({
 				template: './src/index.html',
 				title: 'Pixi.js V7 Game Demo',
@@ -69,6 +91,11 @@ module.exports = (env, argv) => {
 			hot: true,
 			open: true,
 			historyApiFallback: true,
+			// Required lazily so builds do not load the atlas packer and file watcher
+			setupMiddlewares: (middlewares, devServer) =>
+				isProduction
+					? middlewares
+					: require('./scripts/assetHotReload').setupAssetHotReload(devServer, middlewares),
 		},
 
 		devtool: isProduction ? 'source-map' : 'eval-source-map',